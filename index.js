@@ -4,6 +4,15 @@ var ErrorReporter = require('./lib/error_reporter');
 var Metrics = require('./lib/metrics');
 var Profiler = require('./lib/profiler');
 var Tracer = require('./lib/tracer');
+var utils = require('./lib/utils');
+var crashHandler = require('./lib/crash_handler');
+
+var DEFAULT_SHUTDOWN_TIMEOUT = 5000;
+var DEFAULT_LOG_LEVEL_SIGNAL_TIMEOUT = 10 * 60 * 1000;
+// Debug records are not sent to the remote streams (kinesis, web-url,
+// sentry) unless they are listed, so they are not flooded.
+var DEFAULT_LOG_LEVEL_SIGNAL_STREAMS = ['console', 'file'];
+var LOG_LEVEL_MESSAGE = 'auth0-instrumentation:log-level';
 
 /**
  * @typedef {Object} InstrumentationParams
@@ -13,6 +22,13 @@ var Tracer = require('./lib/tracer');
  * @property {function} isEnabled Deprecated: same as `isTracerEnabled`, use `isTracerEnabled`
  * instead
  * @property {string} fileRotationSignal Process signal to use to rotate the log file
+ * @property {string} logLevelSignal Process signal to use to switch the logger to debug level
+ * for `LOG_LEVEL_SIGNAL_TIMEOUT` milliseconds
+ * @property {string[]} logLevelSignalStreams Streams switched to debug by `logLevelSignal`,
+ * the local ones ('console' and 'file') by default
+ * @property {boolean} logLevelMessages Whether to change the logger levels when the process
+ * receives `{ type: 'auth0-instrumentation:log-level', stream, level, timeout }` IPC messages
+ * @property {boolean|Object} crashHandler Whether to handle crashes, or the options of `handleCrashes`
  */
 
 module.exports = {
@@ -34,9 +50,9 @@ module.exports = {
   init: function(pkg, env, serializers, params) {
     if (this.initialized) { return; }
 
-    this.logger = Logger(pkg, env, serializers);
-    this.errorReporter = ErrorReporter(pkg, env);
     this.metrics = Metrics(pkg, env);
+    this.logger = Logger(pkg, env, serializers, { metrics: this.metrics });
+    this.errorReporter = ErrorReporter(pkg, env);
     this.profiler = new Profiler(this, pkg, env);
     this.tracer = Tracer(this, pkg, env, {
       // Using params.isEnabled should be consider legacy since it is a bit
@@ -52,5 +68,84 @@ module.exports = {
         this.logger.info('The log file has been rotated.');
       });
     }
+
+    if (params && params.logLevelSignal) {
+      const timeout = env.LOG_LEVEL_SIGNAL_TIMEOUT || DEFAULT_LOG_LEVEL_SIGNAL_TIMEOUT;
+      const streams = params.logLevelSignalStreams || DEFAULT_LOG_LEVEL_SIGNAL_STREAMS;
+      process.on(params.logLevelSignal, () => {
+        Object.keys(this.logger.getLevels())
+          .filter((name) => streams.indexOf(name) !== -1)
+          .forEach((name) => this.logger.setLevel(name, 'debug', { timeout: timeout }));
+        this.logger.info(`The log level has been set to debug for ${timeout}ms.`);
+      });
+    }
+
+    if (params && params.crashHandler) {
+      this.handleCrashes(params.crashHandler === true ? undefined : params.crashHandler);
+    }
+
+    if (params && params.logLevelMessages) {
+      process.on('message', (message) => {
+        if (!message || message.type !== LOG_LEVEL_MESSAGE) { return; }
+        try {
+          if (message.level) {
+            this.logger.setLevel(message.stream, message.level, { timeout: message.timeout });
+          } else {
+            this.logger.resetLevel(message.stream);
+          }
+        } catch (err) {
+          this.logger.warn({ err: err }, 'The log level could not be changed.');
+        }
+      });
+    }
+  },
+
+  /**
+   * Log uncaught exceptions and unhandled rejections with a fatal record,
+   * which is also sent to the error reporter, flush everything and exit.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.exitCode] Exit code of the process (1 by default)
+   * @param {number} [options.timeout] Max. milliseconds to wait for the flush (5000 by default)
+   */
+  handleCrashes: function(options) {
+    if (this._crashHandler) { return; }
+    this._crashHandler = crashHandler(this, options);
+  },
+
+  /**
+   * Flush the logs, metrics, spans and error reports that are still buffered
+   * and close the clients used to send them. Use it before the process exits.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeout] Max. milliseconds to wait for the flush (5000 by default)
+   * @returns {Promise} resolved once everything has been sent
+   */
+  shutdown: function(options) {
+    if (this._shutdown) { return this._shutdown; }
+
+    const timeout = (options && options.timeout) || DEFAULT_SHUTDOWN_TIMEOUT;
+
+    this._shutdown = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Instrumentation shutdown timed out after ${timeout}ms`));
+      }, timeout);
+
+      const done = (err) => {
+        clearTimeout(timer);
+        return err ? reject(err) : resolve();
+      };
+
+      utils.whenAll([
+        (callback) => this.tracer.close(callback),
+        (callback) => this.metrics.close(callback),
+        (callback) => this.errorReporter.flush(callback)
+      ], (err) => {
+        // The logger goes last so it gets whatever the other clients logged.
+        this.logger.flush((loggerErr) => done(err || loggerErr));
+      });
+    });
+
+    return this._shutdown;
   }
 };
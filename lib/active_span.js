@@ -0,0 +1,34 @@
+'use strict';
+
+// Keeps track of the active span across async boundaries. It is shared by
+// the tracer, which sets it, and the logger, which adds its ids to the log
+// records. It relies on AsyncLocalStorage, available from node 12.17, older
+// versions never have an active span.
+let AsyncLocalStorage;
+try {
+  AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+} catch (err) {
+  AsyncLocalStorage = undefined;
+}
+
+if (!AsyncLocalStorage) {
+  module.exports = {
+    isSupported: false,
+    get: () => null,
+    run: (span, fn) => fn(),
+    enter: () => {}
+  };
+} else {
+  const storage = new AsyncLocalStorage();
+
+  module.exports = {
+    isSupported: true,
+    // The span active in the current execution context, if any.
+    get: () => storage.getStore() || null,
+    // Run `fn` with `span` as the active span.
+    run: (span, fn) => storage.run(span, fn),
+    // Make `span` the active span for the rest of the current execution
+    // context, e.g. in framework hooks where there is no function to wrap.
+    enter: (span) => storage.enterWith(span)
+  };
+}
@@ -8,9 +8,25 @@ const TAGS_WHITELIST = [
   'log_type',
   'region',
   'environment',
-  'channel'
+  'channel',
+  'trace_id',
+  'span_id'
 ];
 
+const DEFAULT_FINGERPRINT = ['log_type', 'code', 'message'];
+const DEFAULT_RATE_LIMIT_INTERVAL = 60000;
+// Rate limiting state is dropped for older fingerprints beyond this number.
+const MAX_FINGERPRINTS = 1000;
+
+// Message without the parts that change between occurrences of the same
+// error, such as ids and numbers.
+function normalizeMessage(message) {
+  return String(message || '')
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b[0-9a-f]{16,}\b/gi, '<id>')
+    .replace(/\d+/g, '<n>');
+}
+
 /**
  * Auth0-specific Sentry stream for Bunyan, forked from https://github.com/transcovo/bunyan-sentry-stream/blob/bf4a9d2262b7854aff6eb757b45565abc664e103/lib/SentryStream.js.
  */
@@ -19,10 +35,25 @@ class Auth0SentryStream {
   /**
    * Auth0SentryStream constructor
    * @param  {Object} client the Sentry client
+   * @param  {Object} [options]
+   * @param  {String[]} [options.fingerprint] parts of the record that identify duplicated events ('log_type', 'code' and/or 'message'), sent to Sentry to group them
+   * @param  {Number} [options.rateLimit] max. events sent per fingerprint and interval, unlimited by default
+   * @param  {Number} [options.rateLimitInterval] interval of the rate limit in ms
+   * @param  {Number} [options.sampleRate] probability of sending an event over the rate limit
+   * @param  {Object} [options.metrics] metrics client, the suppressed events are counted as `error_reporter.suppressed`
+   * @param  {String[]} [options.tags] record fields sent as tags, in addition to the default ones
    * @return {void}
    */
-  constructor(client) {
+  constructor(client, options) {
+    options = options || {};
     this.client = client;
+    this.tagsWhitelist = TAGS_WHITELIST.concat(options.tags || []);
+    this.fingerprintRules = options.fingerprint;
+    this.rateLimit = options.rateLimit || 0;
+    this.rateLimitInterval = options.rateLimitInterval || DEFAULT_RATE_LIMIT_INTERVAL;
+    this.sampleRate = options.sampleRate || 0;
+    this.metrics = options.metrics;
+    this.fingerprints = new Map();
   }
 
   /**
@@ -35,22 +66,119 @@ class Auth0SentryStream {
     const tags = record.tags || { };
     const level = this.getSentryLevel(record);
 
-    TAGS_WHITELIST.forEach((tag) => {
+    this.tagsWhitelist.forEach((tag) => {
       if (record[tag]) {
         tags[tag] = record[tag];
       }
     });
 
+    const fingerprint = this.getFingerprint(record);
+    const key = fingerprint.join(':');
+    if (this.limit(key)) {
+      if (this.metrics) {
+        this.metrics.increment('error_reporter.suppressed', 1, record.log_type ? { log_type: record.log_type } : []);
+      }
+      return (true);
+    }
+
+    const kwargs = { level, tags };
+    if (this.fingerprintRules) {
+      kwargs.fingerprint = fingerprint;
+    }
+
     if (err && level !== 'info') {
-      const extra = omit(record, 'err', 'tags');
-      this.client.captureException(this.deserializeError(err), { extra, level, tags });
+      kwargs.extra = omit(record, 'err', 'tags');
+      this.addSuppressed(kwargs.extra, this.takeSuppressed(key));
+      this.client.captureException(this.deserializeError(err), kwargs);
     } else {
-      const extra = omit(record, 'msg', 'tags');
-      this.client.captureMessage(record.msg, { extra, level, tags });
+      kwargs.extra = omit(record, 'msg', 'tags');
+      this.addSuppressed(kwargs.extra, this.takeSuppressed(key));
+      this.client.captureMessage(record.msg, kwargs);
     }
     return (true);
   }
 
+  /**
+   * Parts of the record that identify duplicated events
+   * @param  {Object} record Bunyan log record
+   * @return {String[]}      the fingerprint
+   */
+  getFingerprint(record) {
+    const err = record.err || {};
+    return (this.fingerprintRules || DEFAULT_FINGERPRINT).map((rule) => {
+      switch (rule) {
+      case 'log_type':
+        return String(record.log_type || '');
+      case 'code':
+        return String(err.code || '');
+      case 'message':
+        return normalizeMessage(record.err ? err.message : record.msg);
+      default:
+        return String(record[rule] || '');
+      }
+    });
+  }
+
+  /**
+   * Count an event of a fingerprint against the rate limit
+   * @param  {String} key    the fingerprint
+   * @return {Boolean}       true if the event has to be dropped
+   */
+  limit(key) {
+    if (!this.rateLimit) {
+      return false;
+    }
+
+    const now = Date.now();
+    let entry = this.fingerprints.get(key);
+    if (!entry || now - entry.start >= this.rateLimitInterval) {
+      entry = { start: now, count: 0, suppressed: entry ? entry.suppressed : 0 };
+      this.setFingerprint(key, entry, now);
+    }
+
+    entry.count++;
+    if (entry.count > this.rateLimit && !(Math.random() < this.sampleRate)) {
+      entry.suppressed++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Number of events of a fingerprint suppressed since the last one sent
+   * @param  {String} key    the fingerprint
+   * @return {Number}
+   */
+  takeSuppressed(key) {
+    const entry = this.fingerprints.get(key);
+    if (!entry) {
+      return 0;
+    }
+    const suppressed = entry.suppressed;
+    entry.suppressed = 0;
+    return suppressed;
+  }
+
+  setFingerprint(key, entry, now) {
+    if (this.fingerprints.size >= MAX_FINGERPRINTS) {
+      this.fingerprints.forEach((value, fingerprint) => {
+        if (now - value.start >= this.rateLimitInterval) {
+          this.fingerprints.delete(fingerprint);
+        }
+      });
+      if (this.fingerprints.size >= MAX_FINGERPRINTS) {
+        this.fingerprints.clear();
+      }
+    }
+    this.fingerprints.set(key, entry);
+  }
+
+  addSuppressed(extra, suppressed) {
+    if (suppressed > 0) {
+      extra.suppressed_events = suppressed;
+    }
+  }
+
   /**
    * Convert Bunyan level number to Sentry level label.
    * Rule : >50=error ; 40=warning ; info otherwise
@@ -87,11 +215,12 @@ class Auth0SentryStream {
  * Default module function
  * @param  {Object} client Sentry client
  * @param  {String} level Bunyan level
+ * @param  {Object} [options] Auth0SentryStream options
  * @return {Object}        Bunyan stream with embedded Sentry steam
  */
-function defaultSetup(client, level) {
+function defaultSetup(client, level, options) {
   return {
-    stream: new Auth0SentryStream(client),
+    stream: new Auth0SentryStream(client, options),
     type: 'raw',
     level: level || 'warn'
   };
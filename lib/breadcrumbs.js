@@ -0,0 +1,116 @@
+'use strict';
+
+const bunyan = require('bunyan');
+
+// Number of breadcrumbs kept in memory, shared by every request.
+const DEFAULT_CAPACITY = 1000;
+
+const SENTRY_LEVELS = {};
+SENTRY_LEVELS[bunyan.TRACE] = 'debug';
+SENTRY_LEVELS[bunyan.DEBUG] = 'debug';
+SENTRY_LEVELS[bunyan.INFO] = 'info';
+SENTRY_LEVELS[bunyan.WARN] = 'warning';
+SENTRY_LEVELS[bunyan.ERROR] = 'error';
+SENTRY_LEVELS[bunyan.FATAL] = 'fatal';
+
+/**
+ * Last log records of the process, in the Sentry breadcrumb format, so the
+ * events sent to Sentry show what happened before them. They are kept in a
+ * ring buffer shared by every request.
+ */
+class Breadcrumbs {
+
+  /**
+   * Breadcrumbs constructor
+   * @param  {Number} [capacity] max. number of breadcrumbs kept
+   * @return {void}
+   */
+  constructor(capacity) {
+    this.capacity = capacity || DEFAULT_CAPACITY;
+    this.clear();
+  }
+
+  /**
+   * Keep a bunyan log record as a breadcrumb
+   * @param  {Object} record bunyan log record
+   * @return {void}
+   */
+  add(record) {
+    const time = record.time instanceof Date ? record.time : new Date(record.time || Date.now());
+    const breadcrumb = {
+      timestamp: time.getTime() / 1000,
+      category: record.log_type || 'log',
+      message: record.msg,
+      level: SENTRY_LEVELS[record.level] || 'info'
+    };
+    if (record.trace_id) {
+      breadcrumb.data = { trace_id: record.trace_id };
+    }
+
+    // the oldest breadcrumb is overwritten once the buffer is full.
+    this.values[this.next] = breadcrumb;
+    this.next = (this.next + 1) % this.capacity;
+  }
+
+  /**
+   * Last breadcrumbs of a trace, i.e. of the same request, oldest first.
+   * Without a trace id, e.g. when there is no active span, they are the last
+   * ones of the process, whatever request they belong to.
+   * @param  {String} [traceId]
+   * @param  {Number} limit max. number of breadcrumbs
+   * @return {Object[]}
+   */
+  get(traceId, limit) {
+    const values = [];
+    // newest first, from the last written slot backwards.
+    for (let i = 1; i <= this.values.length && values.length < limit; i++) {
+      const breadcrumb = this.values[(this.next - i + this.capacity) % this.capacity];
+      if (!traceId || (breadcrumb.data && breadcrumb.data.trace_id === traceId)) {
+        values.push(breadcrumb);
+      }
+    }
+    return values.reverse();
+  }
+
+  clear() {
+    this.values = [];
+    this.next = 0;
+  }
+}
+
+/**
+ * Bunyan raw stream that keeps the records below the Sentry threshold as
+ * breadcrumbs.
+ */
+class BreadcrumbStream {
+
+  /**
+   * BreadcrumbStream constructor
+   * @param  {Breadcrumbs} breadcrumbs
+   * @param  {String|Number} sentryLevel level of the records sent to Sentry
+   * @return {void}
+   */
+  constructor(breadcrumbs, sentryLevel) {
+    this.breadcrumbs = breadcrumbs;
+    this.sentryLevel = bunyan.resolveLevel(sentryLevel);
+  }
+
+  /**
+   * Method call by Bunyan to save log record
+   * @param  {Object} record log properties
+   * @return {Boolean}        true
+   */
+  write(record) {
+    if (record.level < this.sentryLevel) {
+      this.breadcrumbs.add(record);
+    }
+    return (true);
+  }
+}
+
+module.exports = {
+  Breadcrumbs: Breadcrumbs,
+  BreadcrumbStream: BreadcrumbStream,
+  // Shared by the logger, that records them, and every error reporter.
+  shared: new Breadcrumbs()
+};
@@ -7,3 +7,9 @@ exports.TAG_AUTH0_CHANNEL = 'auth0.channel';
 exports.TAG_AUTH0_PURPOSE = 'auth0.purpose';
 exports.TAG_AUTH0_HOSTNAME = 'auth0.hostname';
 exports.TAG_AUTH0_REQUEST_ID = 'auth0.request_id';
+exports.SERVICE_CHECK = {
+  OK: 0,
+  WARNING: 1,
+  CRITICAL: 2,
+  UNKNOWN: 3
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const util = require('util');
+
+const DEFAULT_EXIT_CODE = 1;
+
+/**
+ * Handle `uncaughtException` and `unhandledRejection`: log the error with a
+ * fatal record, which the logger also sends to the error reporter, flush
+ * everything with `agent.shutdown` and exit.
+ *
+ * @param {Object} agent instrumentation agent
+ * @param {Object} [options]
+ * @param {number} [options.exitCode] Exit code of the process (1 by default)
+ * @param {number} [options.timeout] Max. milliseconds to wait for the flush
+ * @returns {Function} function that removes the handler
+ */
+module.exports = function crashHandler(agent, options) {
+  options = options || {};
+  const exitCode = options.exitCode !== undefined ? options.exitCode : DEFAULT_EXIT_CODE;
+  let crashed = false;
+
+  const onCrash = (event, logType) => function(reason) {
+    const err = reason instanceof Error ? reason : new Error(`${event}: ${util.inspect(reason)}`);
+    agent.logger.fatal({ err: err, log_type: logType }, `The process crashed: ${err.message}`);
+
+    // errors raised while flushing are logged, the process exits once.
+    if (crashed) { return; }
+    crashed = true;
+
+    const exit = () => process.exit(exitCode);
+    agent.shutdown({ timeout: options.timeout }).then(exit, exit);
+  };
+
+  const handlers = {
+    uncaughtException: onCrash('uncaughtException', 'uncaught_exception'),
+    unhandledRejection: onCrash('unhandledRejection', 'unhandled_rejection')
+  };
+
+  Object.keys(handlers).forEach((event) => process.on(event, handlers[event]));
+
+  return function remove() {
+    Object.keys(handlers).forEach((event) => process.removeListener(event, handlers[event]));
+  };
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const datadog = require('datadog-metrics');
+const dogapi = require('dogapi');
+
+function timestamp(date) {
+  return Math.round((date ? (date instanceof Date ? date.getTime() : date) : Date.now()) / 1000);
+}
+
+function seriesKey(key, tags) {
+  return `${key}|${(tags || []).join(',')}`;
+}
+
+/**
+ * DataDog HTTP API client with the same extensions as DogStatsD:
+ *
+ * - sets count the unique values sent between two flushes, the count is
+ *   sent as a gauge.
+ * - distributions are buffered and sent to the distribution points API on
+ *   flush.
+ * - events and service checks are sent right away.
+ */
+class DataDogLogger extends datadog.BufferedMetricsLogger {
+
+  /**
+   * DataDogLogger constructor
+   * @param  {Object} opts options of the BufferedMetricsLogger
+   * @param  {Object} [opts.api] dogapi compatible client
+   * @return {void}
+   */
+  constructor(opts) {
+    // the BufferedMetricsLogger flushes once when it is built.
+    super(opts);
+    this.api = opts.api || dogapi;
+    if (!opts.api && opts.apiKey) {
+      dogapi.initialize({ api_key: opts.apiKey, app_key: opts.appKey });
+    }
+    this.sets = new Map();
+    this.distributions = new Map();
+  }
+
+  set(key, value, tags) {
+    const id = seriesKey(key, tags);
+    if (!this.sets.has(id)) {
+      this.sets.set(id, { key: key, tags: tags, values: new Set() });
+    }
+    this.sets.get(id).values.add(value);
+  }
+
+  distribution(key, value, tags) {
+    const id = seriesKey(key, tags);
+    if (!this.distributions.has(id)) {
+      this.distributions.set(id, { key: key, tags: tags, values: [] });
+    }
+    this.distributions.get(id).values.push(value);
+  }
+
+  event(title, text, options, tags, callback) {
+    options = options || {};
+    this.api.event.create(title, text || '', {
+      date_happened: timestamp(options.date),
+      host: options.hostname || this.host,
+      priority: options.priority,
+      alert_type: options.alertType,
+      aggregation_key: options.aggregationKey,
+      source_type_name: options.sourceTypeName,
+      tags: tags
+    }, (err) => {
+      if (typeof callback === 'function') {
+        callback(err);
+      }
+    });
+  }
+
+  serviceCheck(name, status, options, tags, callback) {
+    options = options || {};
+    this.api.serviceCheck.check(this.prefix + name, options.hostname || this.host, status, {
+      timestamp: timestamp(options.date),
+      message: options.message,
+      tags: tags
+    }, (err) => {
+      if (typeof callback === 'function') {
+        callback(err);
+      }
+    });
+  }
+
+  flush(onSuccess, onError) {
+    if (!this.sets) {
+      // called by the parent constructor.
+      return super.flush(onSuccess, onError);
+    }
+
+    this.sets.forEach((set) => this.gauge(set.key, set.values.size, set.tags));
+    this.sets.clear();
+
+    const now = timestamp();
+    const series = [];
+    this.distributions.forEach((distribution) => {
+      series.push({
+        metric: this.prefix + distribution.key,
+        points: [[now, distribution.values]],
+        tags: distribution.tags,
+        host: this.host
+      });
+    });
+    this.distributions.clear();
+
+    if (!series.length) {
+      return super.flush(onSuccess, onError);
+    }
+
+    let pending = 2;
+    let error = null;
+    const done = (err) => {
+      error = error || err;
+      if (--pending > 0) {
+        return;
+      }
+      if (error && typeof onError === 'function') {
+        onError(error);
+      } else if (!error && typeof onSuccess === 'function') {
+        onSuccess();
+      }
+    };
+
+    this.api.client.request('POST', '/distribution_points', { body: { series: series } }, (err, res, status) => {
+      done(err || (String(status)[0] !== '2' ? new Error(`distribution points failed (status=${status})`) : null));
+    });
+    super.flush(() => done(), (err) => done(err || new Error('metrics flush failed')));
+  }
+}
+
+module.exports = DataDogLogger;
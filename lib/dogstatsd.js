@@ -0,0 +1,224 @@
+'use strict';
+
+const StatsD = require('node-statsd');
+
+// Max. time a metric waits in the buffer, in ms.
+const DEFAULT_BUFFER_FLUSH_INTERVAL = 100;
+
+// Text fields of the DogStatsD datagrams can not contain new lines.
+function escape(text) {
+  return String(text).replace(/\n/g, '\\n');
+}
+
+function timestamp(date) {
+  return Math.round((date instanceof Date ? date.getTime() : date) / 1000);
+}
+
+/**
+ * StatsD client with the DogStatsD extensions of the DataDog agent:
+ * distributions, events and service checks. Sets are already supported by
+ * node-statsd.
+ *
+ * With `maxBufferSize`, metrics are packed in datagrams of up to that many
+ * bytes, separated by new lines, that are sent when full or every
+ * `bufferFlushInterval` ms.
+ *
+ * Unlike node-statsd, values with a sample rate are always sent: the caller
+ * samples them.
+ */
+class DogStatsD extends StatsD {
+
+  /**
+   * DogStatsD constructor
+   * @param  {Object} options options of node-statsd
+   * @param  {Number} [options.maxBufferSize] max. bytes of a datagram, 0 disables the buffering
+   * @param  {Number} [options.bufferFlushInterval] ms between two flushes of the buffer
+   * @return {void}
+   */
+  constructor(options) {
+    super(options);
+    this.maxBufferSize = Number(options.maxBufferSize) || 0;
+    this.buffer = [];
+    this.bufferSize = 0;
+    this.bufferCallbacks = [];
+
+    if (this.maxBufferSize > 0) {
+      this.flushTimer = setInterval(() => this.flushBuffer(), options.bufferFlushInterval || DEFAULT_BUFFER_FLUSH_INTERVAL);
+      this.flushTimer.unref();
+    }
+  }
+
+  send(stat, value, type, sampleRate, tags, callback) {
+    let message = `${this.prefix}${stat}${this.suffix}:${value}|${type}`;
+    if (sampleRate && sampleRate < 1) {
+      message += `|@${sampleRate}`;
+    }
+    this.sendMessage(message + this.formatTags(tags), callback);
+  }
+
+  /**
+   * Send a value to a distribution, aggregated globally by DataDog
+   * @param  {String} stat
+   * @param  {Number} value
+   * @param  {Number} [sampleRate]
+   * @param  {String[]} [tags]
+   * @param  {Function} [callback]
+   * @return {void}
+   */
+  distribution(stat, value, sampleRate, tags, callback) {
+    this.sendAll(stat, value, 'd', sampleRate, tags, callback);
+  }
+
+  /**
+   * Send an event
+   * @param  {String} title
+   * @param  {String} text
+   * @param  {Object} [options] date, hostname, priority, alertType, aggregationKey and sourceTypeName
+   * @param  {String[]} [tags]
+   * @param  {Function} [callback]
+   * @return {void}
+   */
+  event(title, text, options, tags, callback) {
+    options = options || {};
+    title = escape(title);
+    text = escape(text || '');
+
+    let message = `_e{${Buffer.byteLength(title)},${Buffer.byteLength(text)}}:${title}|${text}`;
+    if (options.date) {
+      message += `|d:${timestamp(options.date)}`;
+    }
+    if (options.hostname) {
+      message += `|h:${options.hostname}`;
+    }
+    if (options.aggregationKey) {
+      message += `|k:${options.aggregationKey}`;
+    }
+    if (options.priority) {
+      message += `|p:${options.priority}`;
+    }
+    if (options.sourceTypeName) {
+      message += `|s:${options.sourceTypeName}`;
+    }
+    if (options.alertType) {
+      message += `|t:${options.alertType}`;
+    }
+    this.sendMessage(message + this.formatTags(tags), callback);
+  }
+
+  /**
+   * Send the status of a service check
+   * @param  {String} name
+   * @param  {Number} status 0 (ok), 1 (warning), 2 (critical) or 3 (unknown)
+   * @param  {Object} [options] date, hostname and message
+   * @param  {String[]} [tags]
+   * @param  {Function} [callback]
+   * @return {void}
+   */
+  serviceCheck(name, status, options, tags, callback) {
+    options = options || {};
+
+    let message = `_sc|${this.prefix}${name}${this.suffix}|${status}`;
+    if (options.date) {
+      message += `|d:${timestamp(options.date)}`;
+    }
+    if (options.hostname) {
+      message += `|h:${options.hostname}`;
+    }
+    message += this.formatTags(tags);
+    // the message must be the last field.
+    if (options.message) {
+      message += `|m:${escape(options.message).replace(/m:/g, 'm\\:')}`;
+    }
+    this.sendMessage(message, callback);
+  }
+
+  formatTags(tags) {
+    const merged = (Array.isArray(tags) ? tags : []).concat(this.global_tags || []);
+    return merged.length ? `|#${merged.join(',')}` : '';
+  }
+
+  sendMessage(message, callback) {
+    // the metrics sent after close, e.g. by the requests that finish during
+    // a graceful shutdown, are dropped.
+    if (this.mock || this.closed) {
+      if (typeof callback === 'function') {
+        callback(null, 0);
+      }
+      return;
+    }
+    if (!this.maxBufferSize) {
+      const buf = Buffer.from(message);
+      return this.socket.send(buf, 0, buf.length, this.port, this.host, callback);
+    }
+
+    const size = Buffer.byteLength(message);
+    if (this.buffer.length && this.bufferSize + 1 + size > this.maxBufferSize) {
+      this.flushBuffer();
+    }
+    this.bufferSize += (this.buffer.length ? 1 : 0) + size;
+    this.buffer.push(message);
+    if (typeof callback === 'function') {
+      this.bufferCallbacks.push(callback);
+    }
+    if (this.bufferSize >= this.maxBufferSize) {
+      this.flushBuffer();
+    }
+  }
+
+  /**
+   * Send the buffered metrics in a single datagram
+   * @param  {Function} [callback]
+   * @return {void}
+   */
+  flushBuffer(callback) {
+    if (!this.buffer.length) {
+      if (typeof callback === 'function') {
+        callback(null, 0);
+      }
+      return;
+    }
+
+    const buf = Buffer.from(this.buffer.join('\n'));
+    const callbacks = this.bufferCallbacks;
+    this.buffer = [];
+    this.bufferSize = 0;
+    this.bufferCallbacks = [];
+
+    this.socket.send(buf, 0, buf.length, this.port, this.host, (err, bytes) => {
+      callbacks.forEach((cb) => cb(err, bytes));
+      if (typeof callback === 'function') {
+        callback(err, bytes);
+      }
+    });
+  }
+
+  /**
+   * Send the buffered metrics and close the socket. The metrics sent after
+   * are dropped and the next calls only call back.
+   * @param  {Function} [callback] called once the socket is closed
+   * @return {void}
+   */
+  close(callback) {
+    if (this.closed) {
+      if (typeof callback === 'function') {
+        setImmediate(callback);
+      }
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.flushTimer);
+    const done = (err) => {
+      super.close();
+      if (typeof callback === 'function') {
+        callback(err || undefined);
+      }
+    };
+    if (!this.buffer.length) {
+      // let the pending UDP packets go out before closing the socket.
+      return setImmediate(done);
+    }
+    this.flushBuffer(done);
+  }
+}
+
+module.exports = DogStatsD;
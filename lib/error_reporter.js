@@ -1,4 +1,16 @@
 const hapiPluginBuilder = require('./hapi_plugin_builder');
+const redaction = require('./redaction');
+const breadcrumbs = require('./breadcrumbs').shared;
+const tracerUtils = require('./tracer_utils');
+const activeSpans = require('./active_span');
+
+// Breadcrumbs of the request the event belongs to, identified by the trace
+// id of the log record or of the active span, or the last ones without it.
+function getBreadcrumbs(kwargs, limit) {
+  var ids = tracerUtils.getSpanIds(activeSpans.get());
+  var traceId = (kwargs.tags && kwargs.tags.trace_id) || (ids && ids.trace_id);
+  return breadcrumbs.get(traceId, limit);
+}
 
 module.exports = function(pkg, env) {
   if (!env.ERROR_REPORTER_URL) {
@@ -6,15 +18,90 @@ module.exports = function(pkg, env) {
   }
 
   var raven = require('raven');
-  var client = new raven.Client(env.ERROR_REPORTER_URL);
+  var redact = redaction(env);
+  var breadcrumbsLimit = Number(env.ERROR_REPORTER_BREADCRUMBS) || 0;
+
+  var beforeSend = env.ERROR_REPORTER_BEFORE_SEND;
+
+  // every event goes through here, including the ones of the hapi plugin
+  // and the express middleware. Events are dropped when it returns nothing.
+  var client = new raven.Client(env.ERROR_REPORTER_URL, {
+    dataCallback: function(kwargs) {
+      if (breadcrumbsLimit > 0 && !kwargs.breadcrumbs) {
+        var values = getBreadcrumbs(kwargs, breadcrumbsLimit);
+        if (values.length > 0) {
+          kwargs.breadcrumbs = { values: values };
+        }
+      }
+      if (typeof beforeSend === 'function') {
+        try {
+          kwargs = beforeSend(kwargs);
+        } catch (err) {
+          console.error('Error on running the error reporter beforeSend hook', JSON.stringify({
+            message: err.message,
+            stack: err.stack
+          }));
+        }
+      }
+      return kwargs ? redact(kwargs) : null;
+    }
+  });
 
   client.hapi = {
-    plugin: hapiPluginBuilder(client)
+    plugin: hapiPluginBuilder(client, redact),
+    pluginV17: hapiPluginBuilder.v17(client, redact)
   };
 
   client.express = {
     requestHandler: raven.middleware.express.requestHandler(env.ERROR_REPORTER_URL),
-    errorHandler: raven.middleware.express.errorHandler(env.ERROR_REPORTER_URL)
+    errorHandler: raven.middleware.express.errorHandler(client)
+  };
+
+  // raven does not keep track of the events it is sending, count them so
+  // `flush` can wait until all of them are delivered. They are counted from
+  // the capture: the stack of the errors is parsed asynchronously and the
+  // payload is deflated before raven calls the transport.
+  var pending = 0;
+  var waiting = [];
+  var send = client.send;
+
+  var settle = function() {
+    pending = Math.max(pending - 1, 0);
+    if (pending === 0) {
+      waiting.splice(0).forEach(function(callback) { callback(); });
+    }
+  };
+
+  var counted = function(capture) {
+    return function() {
+      pending++;
+      try {
+        return capture.apply(client, arguments);
+      } catch (err) {
+        settle();
+        throw err;
+      }
+    };
+  };
+
+  client.captureException = client.captureError = counted(client.captureException);
+  client.captureMessage = counted(client.captureMessage);
+  client.captureQuery = counted(client.captureQuery);
+
+  client.send = function(kwargs) {
+    // dropped by the beforeSend hook
+    if (!kwargs) { return settle(); }
+    return send.apply(client, arguments);
+  };
+  client.on('logged', settle);
+  client.on('error', settle);
+
+  client.flush = function(callback) {
+    callback = callback || function() {};
+    if (pending === 0) {
+      return callback();
+    }
+    waiting.push(callback);
   };
 
   client.isActive = true;
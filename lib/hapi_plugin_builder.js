@@ -1,33 +1,39 @@
-function hapiPluginBuilder(client) {
-  function hapiErrorReporterBuilder(options) {
-    return function hapiErrorReporter(request, event) {
-      // extract err, id depends on the hapi version.
-      // for >= hapi17:
-      //            - event has a property error
-      //            - the id is on `request.info.id`
-      // for < hapi17:
-      //            - event is the directly the error
-      //            - the id is on `request.id`
-      const err = event.isBoom ? event : event.error;
-      const id = request.id ? request.id : request.info.id;
-      client.captureError(err, {
-        extra: {
-          timestamp: request.info.received,
-          id: id,
-          method: request.method,
-          path: request.path,
-          payload: request.pre && request.pre._originalPayload,
-          query: request.query,
-          remoteAddress: request.info.remoteAddress,
-          userAgent: request.raw.req.headers['user-agent']
-        },
-        tags: options.tags
-      });
-    }
-  }
+const redaction = require('./redaction');
+
+const pkg = require('../package.json');
+
+function hapiErrorReporterBuilder(client, redact, options) {
+  return function hapiErrorReporter(request, event) {
+    // extract err, id depends on the hapi version.
+    // for >= hapi17:
+    //            - event has a property error
+    //            - the id is on `request.info.id`
+    // for < hapi17:
+    //            - event is the directly the error
+    //            - the id is on `request.id`
+    const err = event.isBoom ? event : event.error;
+    const id = request.id ? request.id : request.info.id;
+    client.captureError(err, {
+      extra: redact({
+        timestamp: request.info.received,
+        id: id,
+        method: request.method,
+        path: request.path,
+        payload: request.pre && request.pre._originalPayload,
+        query: request.query,
+        remoteAddress: request.info.remoteAddress,
+        userAgent: request.raw.req.headers['user-agent']
+      }),
+      tags: options && options.tags
+    });
+  };
+}
+
+function hapiPluginBuilder(client, redact) {
+  redact = redact || redaction();
 
   var plugin = {
-    pkg: require('../package.json'),
+    pkg: pkg,
     register: function (server, options, next) {
       const hapiVersion = server.version || ""; // '17.0.0'
       const majorHapiVersion = parseInt(hapiVersion.split(".")[0]);
@@ -36,17 +42,33 @@ function hapiPluginBuilder(client) {
 
       // depending on the hapi version use a different way to listen to the event
       if (majorHapiVersion >= 17) {
-        server.events.on({name: 'request', channels: 'error' }, hapiErrorReporterBuilder(options));
+        server.events.on({name: 'request', channels: 'error' }, hapiErrorReporterBuilder(client, redact, options));
       } else {
-        server.on('request-error', hapiErrorReporterBuilder(options));
+        server.on('request-error', hapiErrorReporterBuilder(client, redact, options));
         next();
       }
     }
   };
 
-  plugin.register.attributes = { pkg: require('../package.json') };
+  plugin.register.attributes = { pkg: pkg };
 
   return plugin
 }
 
+// Plugin for hapi 17 and above, including @hapi/hapi.
+function hapi17PluginBuilder(client, redact) {
+  redact = redact || redaction();
+
+  return {
+    name: pkg.name,
+    version: pkg.version,
+    register: function (server, options) {
+      server.expose('client', client);
+      server.events.on({ name: 'request', channels: 'error' }, hapiErrorReporterBuilder(client, redact, options));
+      return Promise.resolve();
+    }
+  };
+}
+
 module.exports = hapiPluginBuilder;
+module.exports.v17 = hapi17PluginBuilder;
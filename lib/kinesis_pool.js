@@ -0,0 +1,203 @@
+'use strict';
+
+const bunyan = require('bunyan');
+const KinesisWritable = require('aws-kinesis-writable');
+
+const utils = require('./utils');
+
+const DEFAULT_RECOVERY_INTERVAL = 60000;
+
+/**
+ * Bunyan raw stream that writes to a pool of Kinesis streams. Records go to
+ * the active member (the primary one unless it has failed), and when a member
+ * reports an error its failed records are replayed on the next member of the
+ * pool. After a failover the primary is tried again once the recovery
+ * interval has elapsed.
+ */
+class KinesisPoolStream {
+
+  /**
+   * KinesisPoolStream constructor
+   * @param  {Object[]} members pool members, the first one is the primary
+   * @param  {Object} [options]
+   * @param  {Number} [options.recoveryInterval] ms to wait before going back to the primary
+   * @return {void}
+   */
+  constructor(members, options) {
+    options = options || {};
+    this.members = members;
+    this.active = 0;
+    this.recoveryInterval = options.recoveryInterval || DEFAULT_RECOVERY_INTERVAL;
+    this.recoveryTimer = null;
+    this.levelOverride = null;
+
+    this.members.forEach((member) => {
+      member.stream.on('error', (err) => this.onError(member, err));
+    });
+  }
+
+  /**
+   * Lowest level accepted by any member of the pool, used as the bunyan
+   * stream level so every member can apply its own.
+   * @return {Number}
+   */
+  get level() {
+    if (this.levelOverride !== null) {
+      return this.levelOverride;
+    }
+    return Math.min.apply(null, this.members.map((member) => member.level));
+  }
+
+  /**
+   * Apply a level to every member instead of their own, e.g. when the level
+   * of the stream is changed at runtime
+   * @param  {String|Number} level bunyan level, or null to restore the level of each member
+   * @return {void}
+   */
+  setLevel(level) {
+    this.levelOverride = level === null || level === undefined ? null : bunyan.resolveLevel(level);
+  }
+
+  /**
+   * Method call by Bunyan to save log record
+   * @param  {Object} record log properties
+   * @return {Boolean}        true
+   */
+  write(record) {
+    this.send(this.members[this.active], record);
+    return (true);
+  }
+
+  /**
+   * Send the records buffered by every member of the pool
+   * @param  {Function} callback called once all the members are flushed
+   * @return {void}
+   */
+  flush(callback) {
+    utils.whenAll(this.members.map((member) => {
+      return (done) => utils.flushKinesisStream(member.stream, done);
+    }), callback);
+  }
+
+  send(member, record) {
+    if (record.level < (this.levelOverride !== null ? this.levelOverride : member.level)) {
+      return;
+    }
+    member.stream.write(member.raw ? record : JSON.stringify(record, bunyan.safeCycles()) + '\n');
+  }
+
+  onError(member, err) {
+    console.error('Error on writing logs to Kinesis', JSON.stringify({
+      stream: member.name,
+      message: err && err.message,
+      records: err && err.records,
+      stack: err && err.stack
+    }));
+
+    const index = this.members.indexOf(member);
+    if (index === this.active) {
+      this.failover();
+    }
+
+    // Records only move forward in the pool, so each of them is tried at
+    // most once per member and a pool that is completely down drops them.
+    if (this.active <= index || !err || !err.records) {
+      return;
+    }
+
+    const target = this.members[this.active];
+    err.records.forEach((record) => {
+      if (record && typeof record === 'object') {
+        this.send(target, record);
+      }
+    });
+  }
+
+  failover() {
+    const failed = this.members[this.active];
+    if (this.active < this.members.length - 1) {
+      this.active++;
+      console.error(`Kinesis stream ${failed.name} failed, switching to ${this.members[this.active].name}`);
+    }
+    this.scheduleRecovery();
+  }
+
+  scheduleRecovery() {
+    if (this.active === 0 || this.recoveryTimer) {
+      return;
+    }
+
+    this.recoveryTimer = setTimeout(() => {
+      this.recoveryTimer = null;
+      if (this.active !== 0) {
+        console.error(`Switching back to primary Kinesis stream ${this.members[0].name}`);
+        this.active = 0;
+      }
+    }, this.recoveryInterval);
+
+    if (this.recoveryTimer.unref) {
+      this.recoveryTimer.unref();
+    }
+  }
+}
+
+/**
+ * Merge a pool entry with the root configuration, keys that are not defined
+ * on the entry are taken from the root.
+ * @param  {Object} env root configuration
+ * @param  {Object} entry KINESIS_POOL entry
+ * @return {Object}        the resolved configuration
+ */
+function resolveEntry(env, entry) {
+  const config = Object.assign({}, env);
+  Object.keys(entry).forEach((key) => {
+    if (typeof entry[key] !== 'undefined') {
+      config[key] = entry[key];
+    }
+  });
+
+  // An entry with its own region should not end up using the root kinesis region.
+  if (typeof entry.AWS_REGION !== 'undefined' && typeof entry.AWS_KINESIS_REGION === 'undefined') {
+    config.AWS_KINESIS_REGION = entry.AWS_REGION;
+  }
+
+  return config;
+}
+
+/**
+ * Build the bunyan stream definition for the KINESIS_POOL configuration
+ * @param  {Object} env configuration with a KINESIS_POOL array
+ * @param  {Object} keepAliveAgent http agent used by the Kinesis clients
+ * @return {Object}        Bunyan stream
+ */
+function create(env, keepAliveAgent) {
+  const pool = typeof env.KINESIS_POOL === 'string' ? JSON.parse(env.KINESIS_POOL) : env.KINESIS_POOL;
+  const primary = pool.filter((entry) => entry.IS_PRIMARY)[0] || pool[0];
+  const entries = [primary].concat(pool.filter((entry) => entry !== primary));
+
+  const members = entries.map((entry) => {
+    const config = resolveEntry(env, entry);
+    const options = utils.buildKinesisOptions(config, keepAliveAgent);
+    return {
+      name: config.LOG_TO_KINESIS,
+      stream: utils.trackKinesisStream(new KinesisWritable(options)),
+      level: bunyan.resolveLevel(config.LOG_TO_KINESIS_LEVEL || 'info'),
+      raw: config.LOG_TO_KINESIS_LOG_TYPE === 'raw' && options.objectMode
+    };
+  });
+
+  const stream = new KinesisPoolStream(members, {
+    recoveryInterval: env.KINESIS_POOL_RECOVERY_INTERVAL
+  });
+
+  return {
+    name: 'kinesis',
+    stream: stream,
+    level: stream.level,
+    type: 'raw'
+  };
+}
+
+module.exports = create;
+module.exports.KinesisPoolStream = KinesisPoolStream;
+module.exports.resolveEntry = resolveEntry;
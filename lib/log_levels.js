@@ -0,0 +1,119 @@
+'use strict';
+
+const bunyan = require('bunyan');
+
+/**
+ * Levels of the named logger streams that have been changed at runtime.
+ *
+ * Bunyan child loggers have their own copy of the streams, so the changes
+ * are kept here and applied to the streams of every logger right before a
+ * record is written (see `sync`). Each change can be reverted after a
+ * timeout.
+ *
+ * @param {Object[]} streams bunyan streams of the root logger
+ * @returns {Object} the registry
+ */
+module.exports = function logLevels(streams) {
+  const configured = {};
+  streams.forEach((s) => {
+    if (s.name) {
+      configured[s.name] = s.level;
+    }
+  });
+
+  const overrides = {};
+  const timers = {};
+
+  const obj = {};
+
+  // Lowest level changed at runtime, loggers must accept records of this
+  // level so they reach the streams.
+  obj.minLevel = Infinity;
+
+  const update = function() {
+    const levels = Object.keys(overrides).map((name) => overrides[name]);
+    obj.minLevel = Math.min.apply(null, [Infinity].concat(levels));
+  };
+
+  const clearTimer = function(name) {
+    if (timers[name]) {
+      clearTimeout(timers[name]);
+      delete timers[name];
+    }
+  };
+
+  /**
+   * Set the level of the stream called `name`.
+   * @param {String} name stream name
+   * @param {String|Number} level bunyan level
+   * @param {Number} [timeout] ms after which the configured level is restored
+   */
+  obj.set = function(name, level, timeout) {
+    if (!configured.hasOwnProperty(name)) {
+      throw new Error(`no stream with name "${name}"`);
+    }
+    overrides[name] = bunyan.resolveLevel(level);
+    update();
+
+    clearTimer(name);
+    if (timeout) {
+      timers[name] = setTimeout(() => obj.reset(name), timeout);
+      timers[name].unref();
+    }
+  };
+
+  /**
+   * Restore the configured level of the stream called `name`, or of every
+   * stream if there is no name.
+   */
+  obj.reset = function(name) {
+    const names = name === undefined ? Object.keys(overrides) : [name];
+    names.forEach((name) => {
+      clearTimer(name);
+      delete overrides[name];
+    });
+    update();
+  };
+
+  /**
+   * Current level name of every named stream.
+   * @returns {Object} e.g. { console: 'info', sentry: 'error' }
+   */
+  obj.get = function() {
+    const levels = {};
+    Object.keys(configured).forEach((name) => {
+      const level = overrides.hasOwnProperty(name) ? overrides[name] : configured[name];
+      levels[name] = bunyan.nameFromLevel[level] || level;
+    });
+    return levels;
+  };
+
+  /**
+   * Apply the changes to the streams of a logger. The level a stream had
+   * before its first change is kept so it can be restored. Streams that
+   * filter records themselves, like the Kinesis pool, get the change with
+   * their `setLevel` method.
+   */
+  obj.sync = function(loggerStreams) {
+    loggerStreams.forEach((s) => {
+      const overridden = overrides.hasOwnProperty(s.name);
+      if (overridden) {
+        if (!s.overridden) {
+          s.configuredLevel = s.level;
+          s.overridden = true;
+        }
+        s.level = overrides[s.name];
+      } else if (s.overridden) {
+        s.level = s.configuredLevel;
+        s.overridden = false;
+      }
+      // the stream is shared by the loggers, whichever of them writes
+      // applies the current level.
+      if (s.stream && typeof s.stream.setLevel === 'function') {
+        s.stream.setLevel(overridden ? overrides[s.name] : null);
+      }
+    });
+  };
+
+  return obj;
+};
@@ -1,5 +1,6 @@
 const bunyan = require('bunyan');
 const Auth0SentryStream = require('./auth0_sentry_stream').Auth0SentryStream;
+const breadcrumbs = require('./breadcrumbs');
 const ProcessInfo = require('auth0-common-logging').ProcessInfo;
 const Serializers = require('auth0-common-logging').Serializers;
 const HttpWritableStream = require('auth0-common-logging').Streams.HttpWritableStream;
@@ -8,18 +9,74 @@ const KinesisWritable = require('aws-kinesis-writable');
 const utils = require('./utils');
 const ErrorReporter = require('./error_reporter');
 const KeepAliveAgentRegistry = require('./keep_alive_agent');
+const kinesisPool = require('./kinesis_pool');
+const redaction = require('./redaction');
+const logLevels = require('./log_levels');
 const decorateLogger = require('./utils').decorateLogger;
 const spawn = require('child_process').spawn;
 
-module.exports = function getLogger(pkg, env, serializers, agent) {
+/**
+ * Build the logger
+ *
+ * @param {Object} pkg Package configuration, e.g. the content of package.json
+ * @param {Object} env Environment configuration
+ * @param {Object} [serializers] bunyan serializers
+ * @param {Object} [options]
+ * @param {Object} [options.agent] http agent of the Kinesis clients
+ * @param {Object} [options.metrics] metrics client, used to count the errors suppressed by the Sentry stream
+ * @param {Object} [options.errorReporter] client the Sentry stream reports to, built from `env` by default
+ * @param {Object[]} [options.streams] bunyan streams used instead of the console or file one
+ * @returns {Object} the logger
+ */
+module.exports = function getLogger(pkg, env, serializers, options) {
   if (!serializers) {
     serializers = Serializers;
   }
+  options = options || {};
+  let agent = options.agent;
+
+  const redact = redaction(env);
+  // Stream levels changed at runtime, set once the logger is built.
+  let levels = null;
+
+  // Records are redacted once serialized, before they are written to the
+  // streams, and the runtime levels are applied to the streams of every
+  // logger. Child loggers are built with the same constructor.
+  class InstrumentationLogger extends bunyan {
+    constructor(options, childOptions, childSimple) {
+      super(options, childOptions, childSimple);
+      // bunyan children copy the level of their parent, which includes the
+      // runtime changes.
+      if (options instanceof InstrumentationLogger && !(childOptions && childOptions.level)) {
+        this._configuredLevel = options._configuredLevel;
+      }
+    }
+
+    get _level() {
+      return Math.min(this._configuredLevel, levels ? levels.minLevel : Infinity);
+    }
+
+    set _level(level) {
+      this._configuredLevel = level;
+    }
+
+    _emit(rec, noemit) {
+      if (levels) {
+        levels.sync(this.streams);
+      }
+      return super._emit(redact(rec), noemit);
+    }
+  }
 
   const bunyan_streams = [];
+  // Functions to send whatever the streams have buffered, used by `flush`.
+  const flushers = [];
 
-  if (env.LOG_FILE) {
+  if (options.streams) {
+    bunyan_streams.push.apply(bunyan_streams, options.streams);
+  } else if (env.LOG_FILE) {
     bunyan_streams.push({
+      name: 'file',
       level: env.CONSOLE_LOG_LEVEL || env.LOG_LEVEL,
       path: env.LOG_FILE
     });
@@ -29,11 +86,13 @@ module.exports = function getLogger(pkg, env, serializers, agent) {
         stdio: [ 'pipe', 'inherit', 'inherit' ]
       });
     bunyan_streams.push({
+      name: 'console',
       level: env.CONSOLE_LOG_LEVEL || env.LOG_LEVEL,
       stream: bunyanFormatter.stdin
     });
   } else {
     bunyan_streams.push({
+      name: 'console',
       level: env.CONSOLE_LOG_LEVEL || env.LOG_LEVEL,
       stream: process.stdout
     });
@@ -58,9 +117,14 @@ module.exports = function getLogger(pkg, env, serializers, agent) {
     });
   }
 
-  if (env.LOG_TO_KINESIS) {
+  if (env.KINESIS_POOL) {
     agent = agent || KeepAliveAgentRegistry(env);
-    var stream = new KinesisWritable(utils.buildKinesisOptions(env, agent));
+    const pool = kinesisPool(env, agent);
+    flushers.push((callback) => pool.stream.flush(callback));
+    bunyan_streams.push(pool);
+  } else if (env.LOG_TO_KINESIS) {
+    agent = agent || KeepAliveAgentRegistry(env);
+    var stream = utils.trackKinesisStream(new KinesisWritable(utils.buildKinesisOptions(env, agent)));
 
     var streamErrorHandler = function(err) {
       if (err) {
@@ -75,6 +139,7 @@ module.exports = function getLogger(pkg, env, serializers, agent) {
     };
 
     stream.on('error', streamErrorHandler);
+    flushers.push((callback) => utils.flushKinesisStream(stream, callback));
 
     bunyan_streams.push({
       name: 'kinesis',
@@ -85,19 +150,40 @@ module.exports = function getLogger(pkg, env, serializers, agent) {
 
   }
 
+  const sentryClient = options.errorReporter || ErrorReporter(pkg, env);
+  flushers.push((callback) => sentryClient.flush(callback));
+
   bunyan_streams.push({
     name: 'sentry',
-    stream: new Auth0SentryStream(ErrorReporter(pkg, env)),
+    stream: new Auth0SentryStream(sentryClient, {
+      fingerprint: env.ERROR_REPORTER_FINGERPRINT && utils.parseList(env.ERROR_REPORTER_FINGERPRINT),
+      rateLimit: Number(env.ERROR_REPORTER_RATE_LIMIT) || 0,
+      rateLimitInterval: Number(env.ERROR_REPORTER_RATE_LIMIT_INTERVAL) || undefined,
+      sampleRate: Number(env.ERROR_REPORTER_RATE_LIMIT_SAMPLE_RATE) || 0,
+      metrics: options.metrics,
+      tags: utils.parseList(env.ERROR_REPORTER_TAGS)
+    }),
     level: env.ERROR_REPORTER_LOG_LEVEL || 'error',
     type: 'raw'
   });
 
+  // Records below the Sentry level are sent as breadcrumbs of the errors.
+  // The stream lowers the level of the logger, so it is opt-in.
+  if (sentryClient.isActive && Number(env.ERROR_REPORTER_BREADCRUMBS) > 0) {
+    bunyan_streams.push({
+      name: 'breadcrumbs',
+      stream: new breadcrumbs.BreadcrumbStream(breadcrumbs.shared, env.ERROR_REPORTER_LOG_LEVEL || 'error'),
+      level: env.ERROR_REPORTER_BREADCRUMBS_LEVEL || 'info',
+      type: 'raw'
+    });
+  }
+
 
   const process_info = ProcessInfo &&
     !env.IGNORE_PROCESS_INFO &&
     ProcessInfo.version !== '0.0.0' ? ProcessInfo : undefined;
 
-  const logger = bunyan.createLogger({
+  const logger = new InstrumentationLogger({
     name:         pkg.name,
     process:      process_info,
     region:       env.AWS_REGION,
@@ -113,5 +199,50 @@ module.exports = function getLogger(pkg, env, serializers, agent) {
     console.error('Cannot write to log stream ' + stream.name + ' ' + (err && err.message));
   });
 
-  return decorateLogger(logger);
+  levels = logLevels(logger.streams);
+
+  // Methods of the root logger that its children get too, they apply to the
+  // streams shared by all of them.
+  const methods = {};
+
+  /**
+   * Change the level of a named stream ('console', 'file', 'web-url',
+   * 'kinesis', 'sentry' or 'breadcrumbs') of this logger and all its
+   * children.
+   *
+   * @param {String} name stream name
+   * @param {String|Number} level bunyan level, e.g. 'debug'
+   * @param {Object} [options]
+   * @param {Number} [options.timeout] ms after which the configured level is restored
+   */
+  methods.setLevel = function(name, level, options) {
+    levels.set(name, level, options && options.timeout);
+  };
+
+  // Restore the configured level of a stream, or of all of them.
+  methods.resetLevel = function(name) {
+    levels.reset(name);
+  };
+
+  // Current level of every named stream, e.g. { console: 'info', sentry: 'error' }
+  methods.getLevels = function() {
+    return levels.get();
+  };
+
+  // Send the logs buffered by the Kinesis and Sentry streams.
+  methods.flush = function(callback) {
+    utils.whenAll(flushers, callback || function() {});
+  };
+
+  const addMethods = function(decorated) {
+    const child = decorated.child;
+    decorated.child = function() {
+      return addMethods(child.apply(decorated, arguments));
+    };
+    return Object.assign(decorated, methods);
+  };
+
+  const decoratedLogger = addMethods(decorateLogger(logger));
+
+  return decoratedLogger;
 };
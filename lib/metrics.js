@@ -1,49 +1,133 @@
-const blocked = require('blocked');
-const pusage = require('pidusage');
-const uuid = require('uuid');
 const utils = require('./utils');
+const constants = require('./constants');
 const metricsFactory = require('./metrics_factory');
+const middleware = require('./metrics_middleware');
+const metricsTimers = require('./metrics_timers');
+const tagCardinality = require('./tag_cardinality');
+const resourceCollection = require('./resource_collection');
+const childMetrics = require('./metrics_child');
 const stubs = require('./stubs').metrics;
 
 
-module.exports = function (pkg, env) {
-  if (!env.STATSD_HOST && !env.METRICS_API_KEY) {
+/**
+ * Build the metrics client
+ *
+ * @param {Object} pkg Package configuration, e.g. the content of package.json
+ * @param {Object} env Environment configuration
+ * @param {Object} [options]
+ * @param {Object[]} [options.backends] backends used instead of the configured ones,
+ *                                      e.g. [{ name: 'test', client: client, sampled: true }]
+ * @param {Function} [options.random] source of the random numbers used to sample the values
+ * @returns {Object} the metrics client
+ */
+module.exports = function (pkg, env, options) {
+  options = options || {};
+  const names = options.backends ? [] : metricsFactory.backends(env);
+  if (!options.backends && !names.length) {
     return stubs;
   }
 
-  const metrics = metricsFactory.create(pkg, env);
+  // Every metric is sent to all the backends, e.g. to dual-write while
+  // migrating from one to another. Sampled backends take the sample rate of
+  // the values, like StatsD does.
+  const backends = options.backends || names.map((name) => ({
+    name: name,
+    client: metricsFactory.create(pkg, env, name),
+    sampled: name === 'statsd'
+  }));
+  const random = options.random || Math.random;
+
+  // Call `method` on the backends that support it, the callback is called
+  // by the first one only. `args` can be a function that returns the
+  // arguments of each backend.
+  const send = function (method, args, callback) {
+    const supported = backends.filter((backend) => typeof backend.client[method] === 'function');
+    if (!supported.length) {
+      return callback();
+    }
+    supported.forEach((backend, i) => {
+      const backendArgs = typeof args === 'function' ? args(backend) : args;
+      backend.client[method].apply(backend.client, backendArgs.concat(i === 0 ? callback : stubs.callback));
+    });
+  };
 
   const obj = {
     isActive: true,
-    trackIds: {},
+    SERVICE_CHECK: constants.SERVICE_CHECK,
     __defaultTags: []
   };
 
+  const timers = metricsTimers(obj, { ttl: env.METRICS_TIMER_TTL });
+  // running timers, by id.
+  obj.trackIds = timers.trackIds;
+  // controller of the resource usage collection.
+  var resources = null;
+
   if (env.SERVICE_NAME) {
     obj.__defaultTags.push(`service_name:${env.SERVICE_NAME}`);
   } else if (env.METRICS_PKG_AS_SERVICE_NAME) {
     obj.__defaultTags.push(`service_name:${pkg.name}`);
   }
-  const getTags = function (tags) {
-    return obj.__defaultTags.concat(utils.processTags(tags));
+  const limitTags = tagCardinality({
+    limit: env.METRICS_TAG_CARDINALITY_LIMIT,
+    onLimit: (name, key, limit) => {
+      console.warn(`Too many values for a metric tag, the new ones are sent as "${tagCardinality.OTHER}"`, JSON.stringify({
+        metric: name,
+        tag: key,
+        limit: limit
+      }));
+    }
+  });
+
+  const getTags = function (name, tags) {
+    return limitTags(name, obj.__defaultTags.concat(utils.processTags(tags)));
+  };
+
+  // Send a sampled value, `sampleRate` is the probability of sending it.
+  // Sampled backends scale it with the rate, the counters of the other
+  // backends are scaled here.
+  const sendSampled = function (method, name, value, tags, sampleRate, callback) {
+    if (!(sampleRate < 1)) {
+      return send(method, [name, value, tags], callback);
+    }
+    if (random() >= sampleRate) {
+      return callback();
+    }
+    send(method, (backend) => {
+      if (backend.sampled) {
+        return [name, value, sampleRate, tags];
+      }
+      return [name, method === 'increment' ? value / sampleRate : value, tags];
+    }, callback);
   };
 
   obj.setDefaultTags = function (tags) {
     obj.__defaultTags = utils.processTags(tags);
   };
 
+  // Metrics with a sub-prefix and tags added to the default ones, e.g. for
+  // the metrics of a library.
+  obj.child = function (options) {
+    return childMetrics(obj, options);
+  };
+
   obj.gauge = function (name, value, tags, callback) {
     callback = callback || stubs.callback;
-    return metrics.gauge(name, value, getTags(tags), callback);
+    send('gauge', [name, value, getTags(name, tags)], callback);
   };
 
-  obj.increment = function (name, value, tags, callback) {
-    callback = callback || stubs.callback;
+  // increment(name, [value], [tags], [sampleRate], [callback])
+  obj.increment = function (name, value, tags, sampleRate, callback) {
     if (Array.isArray(value)) {
       tags = value;
       value = 1;
     }
-    return metrics.increment(name, value, getTags(tags), callback);
+    if (typeof sampleRate === 'function') {
+      callback = sampleRate;
+      sampleRate = undefined;
+    }
+    callback = callback || stubs.callback;
+    sendSampled('increment', name, value, getTags(name, tags), sampleRate, callback);
   };
 
   obj.incrementOne = function(name, tags, callback){
@@ -61,78 +145,131 @@ module.exports = function (pkg, env) {
   // exceed the largest specified bucket. Since it is greater than
   // 10, a le:10 tag would not be added.
   obj.observeBucketed = function(name, value, buckets, tags, callback) {
-    var t = getTags(tags);
-    t.push('le:Inf');
+    callback = callback || stubs.callback;
+    var t = getTags(name, tags);
+    var bucketTags = t.concat('le:Inf');
     buckets.forEach((bucket) => {
       if (value <= bucket) {
-        t.push(`le:${bucket}`);
+        bucketTags.push(`le:${bucket}`);
       }
     });
-    return metrics.increment(name, 1, t, callback);
+
+    backends.forEach((backend, i) => {
+      const cb = i === 0 ? callback : stubs.callback;
+      if (typeof backend.client.observe === 'function') {
+        // native histogram, e.g. with _bucket, _sum and _count series in
+        // Prometheus.
+        return backend.client.observe(name, value, buckets, t, cb);
+      }
+      backend.client.increment(name, 1, bucketTags, cb);
+    });
   };
 
-  obj.histogram = function (name, value, tags, callback) {
+  // histogram(name, value, [tags], [sampleRate], [callback])
+  obj.histogram = function (name, value, tags, sampleRate, callback) {
+    if (typeof sampleRate === 'function') {
+      callback = sampleRate;
+      sampleRate = undefined;
+    }
     callback = callback || stubs.callback;
-    return metrics.histogram(name, value, getTags(tags), callback);
+    sendSampled('histogram', name, value, getTags(name, tags), sampleRate, callback);
   };
 
-  obj.flush = function () {
-    if (!env.STATSD_HOST) {
-      return metrics.flush();
-    }
-    // STATSD does not require flush.
-    return;
+  // Values aggregated globally by DataDog, and a histogram in Prometheus.
+  obj.distribution = function (name, value, tags, callback) {
+    callback = callback || stubs.callback;
+    send('distribution', [name, value, getTags(name, tags)], callback);
+  };
+
+  // Count of the unique values sent between two flushes.
+  obj.set = function (name, value, tags, callback) {
+    callback = callback || stubs.callback;
+    send('set', [name, value, getTags(name, tags)], callback);
   };
 
-  obj.time = function (metricName, tags) {
-    const id = uuid.v4();
-    obj.increment(`${metricName}.started`, 1, tags);
-    obj.trackIds[id] = { date: Date.now(), metricName: metricName };
-    return id;
+  // Events and service checks are only supported by StatsD (DogStatsD) and
+  // DataDog. Options are date, hostname, priority ('normal' or 'low'),
+  // alertType ('error', 'warning', 'info' or 'success'), aggregationKey and
+  // sourceTypeName.
+  obj.event = function (title, text, options, tags, callback) {
+    callback = callback || stubs.callback;
+    send('event', [title, text, options || {}, obj.__defaultTags.concat(utils.processTags(tags))], callback);
   };
 
-  obj.endTime = function (id, tags) {
-    if (!obj.trackIds[id]) {
-      return;
+  // `status` is one of metrics.SERVICE_CHECK or its name, e.g. 'critical'.
+  // Options are date, hostname and message.
+  obj.serviceCheck = function (name, status, options, tags, callback) {
+    callback = callback || stubs.callback;
+    if (typeof status === 'string') {
+      status = constants.SERVICE_CHECK[status.toUpperCase()];
     }
+    if (status === undefined) {
+      status = constants.SERVICE_CHECK.UNKNOWN;
+    }
+    send('serviceCheck', [name, status, options || {}, obj.__defaultTags.concat(utils.processTags(tags))], callback);
+  };
 
-    const metricName = obj.trackIds[id].metricName;
-    var time = Date.now() - obj.trackIds[id].date;
-    delete obj.trackIds[id];
-    obj.increment(`${metricName}.ended`, 1, tags);
-    obj.histogram(`${metricName}.time`, time, tags);
-    return time;
+  obj.flush = function () {
+    backends.forEach((backend) => {
+      // STATSD and Prometheus do not require flush.
+      if (backend.name === 'datadog') {
+        backend.client.flush();
+      }
+    });
   };
 
-  obj.startResourceCollection = function (tags) {
-    if (!env.COLLECT_RESOURCE_USAGE) {
-      return;
+  const closeBackend = function (backend, callback) {
+    if (backend.name === 'datadog') {
+      return backend.client.flush(() => callback(), (err) => callback(err));
     }
+    // StatsD sends its buffer and closes the socket, Prometheus stops the
+    // standalone listener.
+    backend.client.close(callback);
+  };
 
-    tags = tags || {};
+  // Send any buffered metric and release the resources used by the clients.
+  obj.close = function (callback) {
+    callback = callback || stubs.callback;
+    timers.stop();
+    if (resources) {
+      resources.stop();
+    }
+    utils.whenAll(backends.map((backend) => {
+      return (done) => closeBackend(backend, done);
+    }), (err) => callback(err || undefined));
+  };
 
-    setInterval(function () {
-      var memUsage = process.memoryUsage();
-      obj.gauge('resources.memory.heapTotal', memUsage.heapTotal, tags);
-      obj.gauge('resources.memory.heapUsed', memUsage.heapUsed, tags);
+  // Start a timer, the returned handle sends the duration with `end(tags)`.
+  // `endTime(handle, tags)` is kept for compatibility.
+  obj.time = timers.time;
+  obj.endTime = timers.endTime;
 
-      // added in Node 7.2: memory usage of C++ objects bound to JavaScript objects managed by V8
-      if (memUsage.external) {
-        obj.gauge('resources.memory.external', memUsage.external, tags);
-      }
+  // Request handlers that serve the metrics in the Prometheus text format.
+  const prometheus = backends.filter((backend) => backend.client.handler)[0];
+  obj.handler = prometheus ? prometheus.client.handler : stubs.handler;
 
-      pusage.stat(process.pid, function (err, stat) {
-        if (err) {
-          return;
-        }
-        obj.gauge('resources.memory.usage', stat.memory, tags);
-        obj.gauge('resources.cpu.usage', stat.cpu, tags);
-      });
-    }, env.COLLECT_RESOURCE_USAGE_INTERVAL || 5000);
-
-    blocked(function (ms) {
-      obj.histogram('event_loop.blocked', ms, tags);
-    });
+  // Request count, error count and duration of the HTTP requests.
+  obj.middleware = {
+    express: middleware.express(obj),
+    hapi16: middleware.hapi16(obj),
+    hapi17: middleware.hapi17(obj)
+  };
+
+  // Collect the resource usage of the process until `stop` is called on the
+  // returned controller. While a collection is running the next calls
+  // return it instead of starting another one.
+  obj.startResourceCollection = function (tags, options) {
+    if (!env.COLLECT_RESOURCE_USAGE) {
+      return stubs.startResourceCollection();
+    }
+    if (resources && resources.isRunning()) {
+      return resources;
+    }
+
+    resources = resourceCollection(obj, tags, Object.assign({
+      interval: env.COLLECT_RESOURCE_USAGE_INTERVAL
+    }, options));
+    return resources.start();
   };
 
   return obj;
@@ -0,0 +1,123 @@
+'use strict';
+
+const utils = require('./utils');
+
+function tagKey(tag) {
+  const separator = tag.indexOf(':');
+  return separator === -1 ? tag : tag.slice(0, separator);
+}
+
+/**
+ * Metrics facade that prepends a prefix to the names of its metrics and adds
+ * its tags to theirs. The default tags of the parent, e.g. `service_name`,
+ * are still added by the parent. `close`, `handler`, `middleware`,
+ * `startResourceCollection` and `trackIds` are the ones of the parent.
+ *
+ * @param {Object} parent metrics, or another child
+ * @param {Object} [options]
+ * @param {String} [options.prefix] prefix of the metric names, e.g. 'mylib'
+ *                                  sends 'mylib.requests' for 'requests'
+ * @param {Object|String[]} [options.tags] tags of every metric
+ * @returns {Object} the child metrics
+ */
+module.exports = function childMetrics(parent, options) {
+  options = options || {};
+  const prefix = options.prefix ? `${String(options.prefix).replace(/\.$/, '')}.` : '';
+
+  const obj = {
+    isActive: parent.isActive,
+    SERVICE_CHECK: parent.SERVICE_CHECK,
+    __tags: utils.processTags(options.tags)
+  };
+
+  const name = (metricName) => prefix + metricName;
+
+  // the tags given in a call replace the ones of the child with the same key.
+  const getTags = function (tags) {
+    const own = utils.processTags(tags);
+    const keys = own.map(tagKey);
+    return obj.__tags.filter((tag) => keys.indexOf(tagKey(tag)) === -1).concat(own);
+  };
+
+  obj.setDefaultTags = function (tags) {
+    obj.__tags = utils.processTags(tags);
+  };
+
+  obj.gauge = function (metricName, value, tags, callback) {
+    return parent.gauge(name(metricName), value, getTags(tags), callback);
+  };
+
+  obj.increment = function (metricName, value, tags, sampleRate, callback) {
+    if (Array.isArray(value)) {
+      tags = value;
+      value = 1;
+    }
+    return parent.increment(name(metricName), value, getTags(tags), sampleRate, callback);
+  };
+
+  obj.incrementOne = function (metricName, tags, callback) {
+    return obj.increment(metricName, 1, tags, callback);
+  };
+
+  obj.observeBucketed = function (metricName, value, buckets, tags, callback) {
+    return parent.observeBucketed(name(metricName), value, buckets, getTags(tags), callback);
+  };
+
+  obj.histogram = function (metricName, value, tags, sampleRate, callback) {
+    return parent.histogram(name(metricName), value, getTags(tags), sampleRate, callback);
+  };
+
+  obj.distribution = function (metricName, value, tags, callback) {
+    return parent.distribution(name(metricName), value, getTags(tags), callback);
+  };
+
+  obj.set = function (metricName, value, tags, callback) {
+    return parent.set(name(metricName), value, getTags(tags), callback);
+  };
+
+  obj.event = function (title, text, options, tags, callback) {
+    return parent.event(title, text, options, getTags(tags), callback);
+  };
+
+  obj.serviceCheck = function (metricName, status, options, tags, callback) {
+    return parent.serviceCheck(name(metricName), status, options, getTags(tags), callback);
+  };
+
+  obj.time = function (metricName, tags) {
+    const timer = parent.time(name(metricName), getTags(tags));
+    // ending the handle adds the tags of the child too.
+    const handle = Object.create(timer);
+    handle.end = (tags) => obj.endTime(timer, tags);
+    return handle;
+  };
+
+  // handles returned by `time` inherit the id of the parent's one.
+  obj.endTime = function (id, tags) {
+    return parent.endTime(id, getTags(tags));
+  };
+
+  obj.flush = function () {
+    return parent.flush();
+  };
+
+  // The clients, the HTTP and resource metrics and the timers are the ones of
+  // the parent: the middleware sends the same names for every service and
+  // closing a child closes the clients of the parent.
+  obj.close = function (callback) {
+    return parent.close(callback);
+  };
+
+  obj.handler = parent.handler;
+  obj.middleware = parent.middleware;
+  obj.trackIds = parent.trackIds;
+
+  obj.startResourceCollection = function (tags, options) {
+    return parent.startResourceCollection(tags, options);
+  };
+
+  obj.child = function (options) {
+    return childMetrics(obj, options);
+  };
+
+  return obj;
+};
@@ -1,34 +1,100 @@
 const url = require('url');
-const StatsD = require('node-statsd');
-const datadog = require('datadog-metrics');
+const DogStatsD = require('./dogstatsd');
+const DataDogLogger = require('./datadog');
+const PrometheusClient = require('./prometheus');
+const utils = require('./utils');
+
+const BACKENDS = ['statsd', 'datadog', 'prometheus'];
+
+const DEFAULT_STATSD_PORT = 8125;
+
+// Prefix of the metrics sent to a backend, e.g. METRICS_DATADOG_PREFIX,
+// so names can differ while migrating from one backend to another.
+function prefix(pkg, env, backend) {
+  return env[`METRICS_${backend.toUpperCase()}_PREFIX`] || env.METRICS_PREFIX || (pkg.name + '.');
+}
 
 function buildStatsD(pkg, env) {
-  const parsedURL = url.parse(env.STATSD_HOST);
-  return new StatsD({
+  const parsedURL = url.parse(String(env.STATSD_HOST || ''));
+  if (!parsedURL.hostname) {
+    throw new Error(`invalid STATSD_HOST "${env.STATSD_HOST || ''}" for the statsd metrics backend, expected e.g. "udp://localhost:8125"`);
+  }
+  return new DogStatsD({
     host: parsedURL.hostname,
-    port: Number(parsedURL.port),
-    prefix: env.METRICS_PREFIX || (pkg.name + '.'),
-    cacheDns: true
+    port: Number(parsedURL.port) || DEFAULT_STATSD_PORT,
+    prefix: prefix(pkg, env, 'statsd'),
+    cacheDns: true,
+    maxBufferSize: env.STATSD_MAX_BUFFER_SIZE,
+    bufferFlushInterval: env.STATSD_BUFFER_FLUSH_INTERVAL
   });
 }
 
 function buildDataDog(pkg, env) {
-  return new datadog.BufferedMetricsLogger({
+  return new DataDogLogger({
     apiKey: env.METRICS_API_KEY,
     host: env.METRICS_HOST || require('os').hostname(),
-    prefix: env.METRICS_PREFIX || (pkg.name + '.'),
+    prefix: prefix(pkg, env, 'datadog'),
     flushIntervalSeconds: env.METRICS_FLUSH_INTERVAL || 15
   });
 }
 
-exports.create = (pkg, env) => {
-  var client;
+function buildPrometheus(pkg, env) {
+  // array or comma separated list
+  const buckets = env.METRICS_PROMETHEUS_BUCKETS && [].concat(env.METRICS_PROMETHEUS_BUCKETS)
+    .join(',')
+    .split(',')
+    .map(Number);
+
+  const client = new PrometheusClient({
+    prefix: prefix(pkg, env, 'prometheus'),
+    buckets: buckets
+  });
+  if (env.METRICS_PROMETHEUS_PORT) {
+    client.listen(Number(env.METRICS_PROMETHEUS_PORT), env.METRICS_PROMETHEUS_PATH);
+  }
+  return client;
+}
 
+// Names of the configured backends. METRICS_BACKENDS lists the backends
+// the metrics are sent to, by default it is the first one configured.
+exports.backends = (env) => {
+  if (env.METRICS_BACKENDS) {
+    return utils.parseList(env.METRICS_BACKENDS).map((backend) => {
+      if (BACKENDS.indexOf(backend) === -1) {
+        throw new Error(`unknown metrics backend "${backend}"`);
+      }
+      return backend;
+    });
+  }
   if (env.STATSD_HOST) {
+    return ['statsd'];
+  }
+  if (env.METRICS_API_KEY) {
+    return ['datadog'];
+  }
+  if (env.METRICS_PROMETHEUS) {
+    return ['prometheus'];
+  }
+  return [];
+};
+
+// Name of the first configured backend, or null if there is none.
+exports.backend = (env) => exports.backends(env)[0] || null;
+
+exports.create = (pkg, env, backend) => {
+  var client;
+
+  switch (backend || exports.backend(env)) {
+  case 'statsd':
     client = buildStatsD(pkg, env);
     client.socket.on('error', function noop() {});
-  } else if (env.METRICS_API_KEY) {
+    break;
+  case 'datadog':
     client = buildDataDog(pkg, env);
+    break;
+  case 'prometheus':
+    client = buildPrometheus(pkg, env);
+    break;
   }
 
   return client;
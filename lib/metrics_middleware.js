@@ -0,0 +1,79 @@
+const onFinished = require('on-finished');
+
+// Request rate, errors and duration of the HTTP servers, with the same names
+// for every service so they can share dashboards.
+const REQUESTS = 'http.server.requests';
+const ERRORS = 'http.server.errors';
+const DURATION = 'http.server.duration';
+
+// Routes are tagged by their path (e.g. `/users/{id}`), requests that do not
+// match any route share a single value to keep the cardinality low.
+const UNMATCHED_ROUTE = 'unmatched';
+
+function statusClass(statusCode) {
+  return statusCode ? `${Math.floor(statusCode / 100)}xx` : 'unknown';
+}
+
+// record sends the metrics of a finished request.
+function record(metrics, start, route, method, statusCode, failed) {
+  const tags = {
+    route: route || UNMATCHED_ROUTE,
+    method: (method || '').toUpperCase(),
+    status_class: statusClass(statusCode)
+  };
+  metrics.increment(REQUESTS, 1, tags);
+  if (failed || statusCode >= 500) {
+    metrics.increment(ERRORS, 1, tags);
+  }
+  metrics.histogram(DURATION, Date.now() - start, tags);
+}
+
+function hapiHelper(metrics) {
+  return (req) => {
+    const response = req.response;
+    const statusCode = response && (response.isBoom ? response.output.statusCode : response.statusCode);
+    const route = req.route && req.route.path;
+    // the catch all route of hapi has no path of its own.
+    record(metrics, req.info.received, route !== '/{p*}' ? route : null, req.method, statusCode, !response);
+  };
+}
+
+module.exports = {
+  REQUESTS: REQUESTS,
+  ERRORS: ERRORS,
+  DURATION: DURATION,
+
+  express: function(metrics) {
+    return (req, res, next) => {
+      const start = Date.now();
+      onFinished(res, (err, res) => {
+        const route = req.route ? (req.baseUrl || '') + req.route.path : null;
+        record(metrics, start, route, req.method, res && res.statusCode, !!err);
+      });
+      next();
+    };
+  },
+
+  hapi16: function(metrics) {
+    const register = function(server, options, next) {
+      server.on('response', hapiHelper(metrics));
+      next();
+    };
+
+    register.attributes = {
+      name: 'a0metrics'
+    };
+
+    return register;
+  },
+
+  hapi17: function(metrics) {
+    return {
+      name: 'a0metrics',
+      version: '1.0.0',
+      register: function(server) {
+        server.events.on('response', hapiHelper(metrics));
+      }
+    };
+  }
+};
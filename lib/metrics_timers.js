@@ -0,0 +1,116 @@
+'use strict';
+
+// Timers that are not ended after this long are dropped.
+const DEFAULT_TTL = 10 * 60 * 1000;
+const MAX_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Handle of a running timer, returned by `metrics.time`.
+ */
+class Timer {
+
+  /**
+   * Timer constructor
+   * @param  {Object} timers timers that track it
+   * @param  {String} id
+   * @param  {String} metricName
+   * @param  {Object|String[]} tags tags of the `started` metric
+   * @return {void}
+   */
+  constructor(timers, id, metricName, tags) {
+    this.id = id;
+    this.metricName = metricName;
+    this.tags = tags;
+    this.date = Date.now();
+    this._timers = timers;
+  }
+
+  /**
+   * Stop the timer and send its duration
+   * @param  {Object|String[]} [tags]
+   * @return {Number} duration in milliseconds, undefined if the timer was
+   *                  already ended or has expired
+   */
+  end(tags) {
+    return this._timers.endTime(this, tags);
+  }
+
+  // the handle can still be used as a key, like the ids it replaces.
+  toString() {
+    return this.id;
+  }
+}
+
+/**
+ * Build the `time` and `endTime` functions of a metrics client.
+ *
+ * Running timers are kept in `trackIds` until they are ended. The ones that
+ * are still running after `ttl` milliseconds are dropped and counted in
+ * `<metricName>.expired`, so timers that are never ended do not leak.
+ *
+ * @param {Object} metrics metrics client used to send the timings
+ * @param {Object} [options]
+ * @param {Number} [options.ttl] milliseconds after which timers expire
+ * @returns {Object} the timers
+ */
+module.exports = function metricsTimers(metrics, options) {
+  options = options || {};
+  const ttl = options.ttl || DEFAULT_TTL;
+  let lastId = 0;
+  let sweeper = null;
+
+  const obj = {
+    trackIds: {}
+  };
+
+  const stop = function() {
+    if (sweeper) {
+      clearInterval(sweeper);
+      sweeper = null;
+    }
+  };
+
+  obj.sweep = function() {
+    const now = Date.now();
+    Object.keys(obj.trackIds).forEach((id) => {
+      const timer = obj.trackIds[id];
+      if (now - timer.date >= ttl) {
+        delete obj.trackIds[id];
+        metrics.increment(`${timer.metricName}.expired`, 1, timer.tags);
+      }
+    });
+    if (!Object.keys(obj.trackIds).length) {
+      stop();
+    }
+  };
+
+  obj.time = function(metricName, tags) {
+    const timer = new Timer(obj, String(++lastId), metricName, tags);
+    metrics.increment(`${metricName}.started`, 1, tags);
+    obj.trackIds[timer.id] = timer;
+
+    if (!sweeper) {
+      sweeper = setInterval(obj.sweep, Math.min(ttl, MAX_SWEEP_INTERVAL));
+      sweeper.unref();
+    }
+    return timer;
+  };
+
+  // `id` is a timer handle or its id.
+  obj.endTime = function(id, tags) {
+    const timer = id && obj.trackIds[id.id || id];
+    if (!timer) {
+      return;
+    }
+
+    delete obj.trackIds[timer.id];
+    const time = Date.now() - timer.date;
+    metrics.increment(`${timer.metricName}.ended`, 1, tags);
+    metrics.histogram(`${timer.metricName}.time`, time, tags);
+    return time;
+  };
+
+  obj.stop = stop;
+
+  return obj;
+};
@@ -0,0 +1,235 @@
+'use strict';
+
+const http = require('http');
+
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const DEFAULT_PATH = '/metrics';
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function sanitize(name, pattern) {
+  name = String(name).replace(pattern, '_');
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+function sanitizeName(name) {
+  return sanitize(name, /[^a-zA-Z0-9_:]/g);
+}
+
+function sanitizeLabel(name) {
+  return sanitize(name, /[^a-zA-Z0-9_]/g);
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) { return '+Inf'; }
+  if (value === -Infinity) { return '-Inf'; }
+  return String(Number(value));
+}
+
+// `key:value` tags become labels, tags without a value are labels set to
+// 'true'.
+function parseTags(tags) {
+  const labels = {};
+  (tags || []).forEach((tag) => {
+    tag = String(tag);
+    const index = tag.indexOf(':');
+    if (index === -1) {
+      labels[sanitizeLabel(tag)] = 'true';
+    } else {
+      labels[sanitizeLabel(tag.slice(0, index))] = tag.slice(index + 1);
+    }
+  });
+  return labels;
+}
+
+function formatLabels(labels, extra) {
+  const all = Object.assign({}, labels, extra);
+  const keys = Object.keys(all);
+  if (keys.length === 0) {
+    return '';
+  }
+  return `{${keys.map((key) => `${key}="${escapeLabelValue(all[key])}"`).join(',')}}`;
+}
+
+/**
+ * Metrics client that aggregates counters, gauges and histograms in process
+ * and exposes them in the Prometheus text exposition format, to be scraped
+ * through `handler` or the standalone listener.
+ */
+class PrometheusClient {
+
+  /**
+   * PrometheusClient constructor
+   * @param  {Object} [options]
+   * @param  {String} [options.prefix] prefix of every metric name
+   * @param  {Number[]} [options.buckets] buckets of the histograms
+   * @return {void}
+   */
+  constructor(options) {
+    options = options || {};
+    this.prefix = options.prefix || '';
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+    this.families = {};
+    this.server = null;
+
+    const client = this;
+    this.handler = {
+      express: function(req, res) {
+        res.setHeader('Content-Type', CONTENT_TYPE);
+        res.end(client.metrics());
+      },
+      hapi16: function(request, reply) {
+        reply(client.metrics()).type(CONTENT_TYPE);
+      },
+      hapi17: function(request, h) {
+        return h.response(client.metrics()).type(CONTENT_TYPE);
+      }
+    };
+  }
+
+  gauge(name, value, tags, callback) {
+    this.update(name, 'gauge', tags, callback, (series) => {
+      series.value = Number(value);
+    });
+  }
+
+  increment(name, value, tags, callback) {
+    this.update(name, 'counter', tags, callback, (series) => {
+      series.value += typeof value === 'undefined' ? 1 : Number(value);
+    });
+  }
+
+  histogram(name, value, tags, callback) {
+    this.observe(name, value, this.buckets, tags, callback);
+  }
+
+  // Distributions are histograms in Prometheus.
+  distribution(name, value, tags, callback) {
+    this.histogram(name, value, tags, callback);
+  }
+
+  /**
+   * Observe a value in a histogram. The buckets of a histogram are the
+   * ones given in its first observation.
+   */
+  observe(name, value, buckets, tags, callback) {
+    value = Number(value);
+    this.update(name, 'histogram', tags, callback, (series, family) => {
+      if (!family.buckets) {
+        family.buckets = buckets.slice().sort((a, b) => a - b);
+      }
+      if (!series.counts) {
+        series.counts = family.buckets.map(() => 0);
+        series.sum = 0;
+        series.count = 0;
+      }
+      family.buckets.forEach((bucket, i) => {
+        if (value <= bucket) {
+          series.counts[i]++;
+        }
+      });
+      series.sum += value;
+      series.count++;
+    });
+  }
+
+  update(name, type, tags, callback, fn) {
+    name = sanitizeName(this.prefix + name);
+    const family = this.families[name] = this.families[name] || { type: type, series: {} };
+    if (family.type !== type) {
+      if (callback) {
+        callback(new Error(`Metric ${name} is a ${family.type}, it can not be used as a ${type}`));
+      }
+      return;
+    }
+
+    const labels = parseTags(tags);
+    const key = formatLabels(labels);
+    const series = family.series[key] = family.series[key] || { labels: labels, value: 0 };
+    fn(series, family);
+
+    if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * Current value of every metric in the text exposition format
+   * @return {String}
+   */
+  metrics() {
+    const lines = [];
+    Object.keys(this.families).forEach((name) => {
+      const family = this.families[name];
+      lines.push(`# TYPE ${name} ${family.type}`);
+      Object.keys(family.series).forEach((key) => {
+        const series = family.series[key];
+        if (family.type !== 'histogram') {
+          return lines.push(`${name}${key} ${formatValue(series.value)}`);
+        }
+        family.buckets.forEach((bucket, i) => {
+          lines.push(`${name}_bucket${formatLabels(series.labels, { le: formatValue(bucket) })} ${series.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${key} ${formatValue(series.sum)}`);
+        lines.push(`${name}_count${key} ${series.count}`);
+      });
+    });
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
+  /**
+   * Metrics are pulled by Prometheus, there is nothing to send.
+   */
+  flush(onSuccess) {
+    if (onSuccess) {
+      onSuccess();
+    }
+  }
+
+  /**
+   * Serve the metrics on `path` from a standalone HTTP server, that does not
+   * keep the process running.
+   * @param  {Number} port
+   * @param  {String} [path]
+   * @return {http.Server}
+   */
+  listen(port, path) {
+    path = path || DEFAULT_PATH;
+    this.server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      this.handler.express(req, res);
+    });
+    this.server.on('error', function(err) {
+      console.error('Error on serving Prometheus metrics', JSON.stringify({
+        message: err.message,
+        stack: err.stack
+      }));
+    });
+    this.server.listen(port);
+    this.server.unref();
+    return this.server;
+  }
+
+  /**
+   * Stop the standalone listener, if any.
+   */
+  close(callback) {
+    callback = callback || function() {};
+    if (!this.server) {
+      return callback();
+    }
+    // errors are ignored, e.g. the server failed to listen.
+    this.server.close(() => callback());
+    this.server = null;
+  }
+}
+
+module.exports = PrometheusClient;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
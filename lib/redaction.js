@@ -0,0 +1,142 @@
+'use strict';
+
+// Masks sensitive fields of log records and error reports. Fields are
+// configured as dot separated paths that match at any depth, e.g.
+// `headers.authorization` masks `req.headers.authorization` as well as
+// `request.headers.authorization`. Keys are compared case insensitively.
+
+const DEFAULT_FIELDS = [
+  'headers.authorization',
+  'headers.cookie',
+  'request.cookies',
+  'password',
+  'client_secret',
+  'access_token',
+  'id_token',
+  'refresh_token'
+];
+
+const DEFAULT_CENSOR = '[REDACTED]';
+
+// Keys of the urls and query strings, e.g. `req.url` in log records or
+// `request.url` in Sentry events. Their query parameters are matched as if
+// they were fields of the key, so `access_token` masks `?access_token=foo`.
+const URL_KEYS = ['url', 'originalurl', 'query_string'];
+
+function parseFields(fields) {
+  const list = Array.isArray(fields) ? fields : String(fields || '').split(',');
+  return list
+    .map((field) => String(field).trim().toLowerCase())
+    .filter((field) => field.length > 0)
+    .map((field) => field.split('.'));
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  // parsed query strings inherit from a prototype without properties on
+  // some node versions.
+  return proto === Object.prototype || proto === null || Object.getPrototypeOf(proto) === null;
+}
+
+// true if `path` ends with one of the configured fields.
+function isRedacted(fields, path) {
+  return fields.some((field) => {
+    if (field.length > path.length) {
+      return false;
+    }
+    const offset = path.length - field.length;
+    return field.every((segment, i) => segment === path[offset + i]);
+  });
+}
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (err) {
+    return text;
+  }
+}
+
+// Mask the values of the redacted parameters of the query string of `url`.
+function redactQuery(fields, censor, url, path) {
+  const hashIndex = url.indexOf('#');
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const withoutHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const isQueryString = path[path.length - 1] === 'query_string';
+  const queryIndex = isQueryString ? -1 : withoutHash.indexOf('?');
+  if (queryIndex === -1 && !isQueryString) {
+    return url;
+  }
+
+  const params = withoutHash.slice(queryIndex + 1).split('&').map((param) => {
+    const separator = param.indexOf('=');
+    const name = separator === -1 ? param : param.slice(0, separator);
+    if (separator === -1 || !isRedacted(fields, path.concat(decode(name).toLowerCase()))) {
+      return param;
+    }
+    return `${name}=${censor}`;
+  });
+
+  return withoutHash.slice(0, queryIndex + 1) + params.join('&') + hash;
+}
+
+/**
+ * Build the redaction for the configured fields.
+ *
+ * `REDACT_FIELDS` is a list (array or comma separated string) of the paths
+ * to mask in addition to the default ones, `REDACT_CENSOR` is the value
+ * they are replaced with.
+ *
+ * The returned function does not modify its argument, objects that contain
+ * redacted fields are copied. Only plain objects and arrays are inspected,
+ * as well as the query strings of the `url`, `originalUrl` and
+ * `query_string` keys.
+ *
+ * @param {Object} env Environment configuration
+ * @returns {Function} function that returns a redacted copy of a value
+ */
+module.exports = function redaction(env) {
+  env = env || {};
+  const fields = parseFields(DEFAULT_FIELDS).concat(parseFields(env.REDACT_FIELDS));
+  const censor = env.REDACT_CENSOR !== undefined ? env.REDACT_CENSOR : DEFAULT_CENSOR;
+
+  const walk = function(value, path, seen) {
+    if (typeof value === 'string') {
+      return URL_KEYS.indexOf(path[path.length - 1]) === -1 ? value : redactQuery(fields, censor, value, path);
+    }
+    const isArray = Array.isArray(value);
+    if ((!isArray && !isPlainObject(value)) || seen.indexOf(value) !== -1) {
+      return value;
+    }
+    seen.push(value);
+
+    let copy = null;
+    Object.keys(value).forEach((key) => {
+      // array indexes are not part of the paths
+      const keyPath = isArray ? path : path.concat(key.toLowerCase());
+      const redacted = !isArray && isRedacted(fields, keyPath) ?
+        censor :
+        walk(value[key], keyPath, seen);
+
+      if (redacted !== value[key]) {
+        copy = copy || (isArray ? value.slice() : Object.assign({}, value));
+        copy[key] = redacted;
+      }
+    });
+
+    seen.pop();
+    return copy || value;
+  };
+
+  const redact = function(value) {
+    return walk(value, [], []);
+  };
+
+  redact.fields = fields.map((field) => field.join('.'));
+  return redact;
+};
+
+module.exports.DEFAULT_FIELDS = DEFAULT_FIELDS;
@@ -0,0 +1,102 @@
+'use strict';
+
+const blocked = require('blocked');
+const runtimeMetrics = require('./runtime_metrics');
+
+const DEFAULT_INTERVAL = 5000;
+
+const MICROS_PER_SECOND = 1e6;
+
+/**
+ * Periodic collection of the resource usage of the process. The timers do
+ * not keep the process running.
+ *
+ * @param {Object} metrics metrics client the measures are sent to
+ * @param {Object|String[]} [tags] tags of every measure
+ * @param {Object} [options]
+ * @param {Number} [options.interval] ms between two collections (5000 by default)
+ * @param {String} [options.prefix] prefix of every metric name
+ * @param {Object} [options.names] custom metric names, by default name,
+ *                                 e.g. { 'event_loop.blocked': 'loop.blocked' }
+ * @returns {Object} controller with `start()`, `stop()` and `isRunning()`
+ */
+module.exports = function resourceCollection(metrics, tags, options) {
+  tags = tags || {};
+  options = options || {};
+  const interval = Number(options.interval) || DEFAULT_INTERVAL;
+  const names = options.names || {};
+  const prefix = options.prefix || '';
+
+  const metricName = (name) => prefix + (names[name] || name);
+  const gauge = (name, value, tags) => metrics.gauge(metricName(name), value, tags);
+
+  let timer = null;
+  let blockedTimer = null;
+  let runtime = null;
+  let lastCpu = null;
+  let lastTime = null;
+
+  // percentage of a CPU used since the previous collection, measured
+  // in-process instead of with ps.
+  const cpuUsage = function () {
+    const cpu = process.cpuUsage(lastCpu);
+    const elapsed = process.hrtime(lastTime);
+    const elapsedMicros = elapsed[0] * MICROS_PER_SECOND + elapsed[1] / 1000;
+    lastCpu = process.cpuUsage();
+    lastTime = process.hrtime();
+    return elapsedMicros > 0 ? 100 * (cpu.user + cpu.system) / elapsedMicros : 0;
+  };
+
+  const collect = function () {
+    runtime.collect(tags);
+
+    var memUsage = process.memoryUsage();
+    gauge('resources.memory.heapTotal', memUsage.heapTotal, tags);
+    gauge('resources.memory.heapUsed', memUsage.heapUsed, tags);
+
+    // added in Node 7.2: memory usage of C++ objects bound to JavaScript objects managed by V8
+    if (memUsage.external) {
+      gauge('resources.memory.external', memUsage.external, tags);
+    }
+
+    gauge('resources.memory.usage', memUsage.rss, tags);
+    gauge('resources.cpu.usage', cpuUsage(), tags);
+  };
+
+  const obj = {};
+
+  obj.isRunning = function () {
+    return !!timer;
+  };
+
+  // Start collecting, does nothing if the collection is already running.
+  obj.start = function () {
+    if (timer) {
+      return obj;
+    }
+    runtime = runtimeMetrics({ gauge: gauge });
+    lastCpu = process.cpuUsage();
+    lastTime = process.hrtime();
+    timer = setInterval(collect, interval);
+    timer.unref();
+
+    // already unref'd
+    blockedTimer = blocked(function (ms) {
+      metrics.histogram(metricName('event_loop.blocked'), ms, tags);
+    });
+    return obj;
+  };
+
+  obj.stop = function () {
+    if (!timer) {
+      return obj;
+    }
+    clearInterval(timer);
+    clearInterval(blockedTimer);
+    runtime.stop();
+    timer = blockedTimer = runtime = lastCpu = lastTime = null;
+    return obj;
+  };
+
+  return obj;
+};
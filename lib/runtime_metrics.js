@@ -0,0 +1,89 @@
+'use strict';
+
+const v8 = require('v8');
+const utils = require('./utils');
+
+// perf_hooks was added in node 8.5, and most of its measures later on.
+let perfHooks = null;
+try {
+  perfHooks = require('perf_hooks');
+} catch (err) {
+  perfHooks = null;
+}
+
+// Resolution of the event loop delay histogram, in ms.
+const DELAY_RESOLUTION = 10;
+
+const NS_PER_MS = 1e6;
+
+/**
+ * Collects runtime measures of the process that do not require external
+ * commands: event loop delay and utilization, active handles and requests,
+ * and the size of each V8 heap space. Measures that are not supported by
+ * the running node version are skipped.
+ *
+ * @param {Object} metrics metrics client the gauges are sent to
+ * @returns {Object} collector, `collect(tags)` sends the measures since the
+ *                   previous call and `stop()` releases the event loop monitor
+ */
+module.exports = function runtimeMetrics(metrics) {
+  const performance = perfHooks && perfHooks.performance;
+
+  // added in node 11.10
+  const delay = perfHooks && typeof perfHooks.monitorEventLoopDelay === 'function' ?
+    perfHooks.monitorEventLoopDelay({ resolution: DELAY_RESOLUTION }) :
+    null;
+  if (delay) {
+    delay.enable();
+  }
+
+  // added in node 14.10
+  const utilization = performance && typeof performance.eventLoopUtilization === 'function' ?
+    performance.eventLoopUtilization.bind(performance) :
+    null;
+  let lastUtilization = utilization && utilization();
+
+  const obj = {};
+
+  obj.collect = function(tags) {
+    if (delay) {
+      // the percentiles are in ns, and NaN before the first sample.
+      if (delay.count === undefined || delay.count > 0) {
+        metrics.gauge('event_loop.delay.p50', delay.percentile(50) / NS_PER_MS, tags);
+        metrics.gauge('event_loop.delay.p99', delay.percentile(99) / NS_PER_MS, tags);
+        metrics.gauge('event_loop.delay.max', delay.max / NS_PER_MS, tags);
+      }
+      delay.reset();
+    }
+
+    if (utilization) {
+      const current = utilization();
+      metrics.gauge('event_loop.utilization', utilization(current, lastUtilization).utilization, tags);
+      lastUtilization = current;
+    }
+
+    if (typeof process._getActiveHandles === 'function') {
+      metrics.gauge('resources.handles', process._getActiveHandles().length, tags);
+    }
+    if (typeof process._getActiveRequests === 'function') {
+      metrics.gauge('resources.requests', process._getActiveRequests().length, tags);
+    }
+
+    if (typeof v8.getHeapSpaceStatistics === 'function') {
+      const processed = utils.processTags(tags);
+      v8.getHeapSpaceStatistics().forEach((space) => {
+        const spaceTags = processed.concat(`heap_space:${space.space_name}`);
+        metrics.gauge('resources.memory.heapSpace.size', space.space_size, spaceTags);
+        metrics.gauge('resources.memory.heapSpace.used', space.space_used_size, spaceTags);
+      });
+    }
+  };
+
+  obj.stop = function() {
+    if (delay) {
+      delay.disable();
+    }
+  };
+
+  return obj;
+};
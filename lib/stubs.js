@@ -1,8 +1,8 @@
 const noop = function() {};
 const returnEmptyLogger = function() { return emptyLogger; };
-const returnValue = function() { return 1; };
 const returnNull = () => { return null; };
 const emptyMiddleware = function (a, b, next) { if (next) { next(); } };
+const runCallback = function(callback) { if (callback) { callback(); } };
 
 var emptySpan = {
   finish: noop,
@@ -18,6 +18,10 @@ var emptyTracer = {
   startSpan: () => { return emptySpan; },
   inject: noop,
   extract: returnNull,
+  activeSpan: returnNull,
+  withSpan: (span, fn) => fn(),
+  enterSpan: noop,
+  close: runCallback,
   Tags: {}
 };
 
@@ -28,7 +32,11 @@ const emptyLogger = {
   info: noop,
   warn: noop,
   error: noop,
-  fatal: noop
+  fatal: noop,
+  flush: runCallback,
+  setLevel: noop,
+  resetLevel: noop,
+  getLevels: () => { return {}; }
 };
 
 const emptyErrorReporter = {
@@ -36,11 +44,17 @@ const emptyErrorReporter = {
   captureException: noop,
   captureMessage: noop,
   patchGlobal: noop,
+  flush: runCallback,
   hapi: {
     plugin: {
       register: emptyMiddleware,
       pkg: require('../package.json')
     },
+    pluginV17: {
+      name: require('../package.json').name,
+      version: require('../package.json').version,
+      register: () => Promise.resolve()
+    }
   },
   express: {
     requestHandler: emptyMiddleware,
@@ -49,6 +63,18 @@ const emptyErrorReporter = {
 };
 emptyErrorReporter.hapi.plugin.register.attributes = { pkg: require('../package.json') };
 
+const emptyTimer = {
+  id: '1',
+  end: noop,
+  toString: () => '1'
+};
+
+const emptyResourceCollection = {
+  start: () => { return emptyResourceCollection; },
+  stop: () => { return emptyResourceCollection; },
+  isRunning: () => false
+};
+
 const emptyMetrics = {
   isActive: false,
   gauge: noop,
@@ -56,13 +82,35 @@ const emptyMetrics = {
   incrementOne: noop,
   observeBucketed: noop,
   histogram: noop,
+  distribution: noop,
+  set: noop,
+  event: noop,
+  serviceCheck: noop,
+  SERVICE_CHECK: require('./constants').SERVICE_CHECK,
   flush: noop,
+  close: runCallback,
   setDefaultTags: noop,
-  startResourceCollection: noop,
-  time: returnValue,
+  child: () => { return emptyMetrics; },
+  startResourceCollection: () => { return emptyResourceCollection; },
+  time: () => { return emptyTimer; },
   endTime: noop,
-  callback: noop
+  callback: noop,
+  handler: {
+    express: (req, res) => { res.end(); },
+    hapi16: (request, reply) => { reply(''); },
+    hapi17: () => ''
+  },
+  middleware: {
+    express: emptyMiddleware,
+    hapi16: function (server, options, next) { next(); },
+    hapi17: {
+      name: 'a0metrics',
+      version: '1.0.0',
+      register: noop
+    }
+  }
 };
+emptyMetrics.middleware.hapi16.attributes = { name: 'a0metrics' };
 
 const emptyProfiler = {
   setupProcessListener: noop,
@@ -76,5 +124,8 @@ module.exports = {
   errorReporter: emptyErrorReporter,
   metrics: emptyMetrics,
   profiler: emptyProfiler,
-  tracer: emptyTracer
+  tracer: emptyTracer,
+  // Required lazily, the test agent is built on top of the tracer which
+  // depends on these stubs.
+  createTestAgent: (env) => require('./test_agent')(env)
 };
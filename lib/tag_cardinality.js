@@ -0,0 +1,66 @@
+'use strict';
+
+const OTHER = 'other';
+
+// Distinct values of each tag of a metric, enough for the tags with a
+// bounded set of values (status codes, routes, regions).
+const DEFAULT_LIMIT = 200;
+
+/**
+ * Keep the number of distinct values of each tag of a metric under a limit,
+ * the values seen after the limit is reached are replaced with `other`.
+ * Tags with request ids or tenant names would otherwise create a new time
+ * series for every value. Tags without a value (no `:`) are limited together.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.limit] distinct values per tag and metric (200 by default), 0 disables the limit
+ * @param {Function} [options.onLimit] called once per metric and tag when the limit is reached
+ * @returns {Function} function that takes a metric name and its tags
+ *                     (`key:value` strings) and returns the limited tags
+ */
+module.exports = function tagCardinality(options) {
+  options = options || {};
+  const limit = options.limit === undefined || options.limit === null ? DEFAULT_LIMIT : Number(options.limit) || 0;
+  const onLimit = options.onLimit || function() {};
+  // metric name -> tag key -> { values, limited }
+  const seen = new Map();
+
+  return function limitTags(name, tags) {
+    if (!limit) {
+      return tags;
+    }
+    let keys = seen.get(name);
+    if (!keys) {
+      keys = new Map();
+      seen.set(name, keys);
+    }
+
+    return tags.map((tag) => {
+      const separator = tag.indexOf(':');
+      // tags without a value are counted under an empty key.
+      const key = separator === -1 ? '' : tag.slice(0, separator);
+      const value = separator === -1 ? tag : tag.slice(separator + 1);
+
+      let entry = keys.get(key);
+      if (!entry) {
+        entry = { values: new Set(), limited: false };
+        keys.set(key, entry);
+      }
+      if (entry.values.has(value)) {
+        return tag;
+      }
+      if (entry.values.size < limit) {
+        entry.values.add(value);
+        return tag;
+      }
+      if (!entry.limited) {
+        entry.limited = true;
+        onLimit(name, key, limit);
+      }
+      return separator === -1 ? OTHER : `${key}:${OTHER}`;
+    });
+  };
+};
+
+module.exports.OTHER = OTHER;
+module.exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
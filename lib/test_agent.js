@@ -0,0 +1,265 @@
+'use strict';
+
+const bunyan = require('bunyan');
+
+const stubs = require('./stubs');
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+const Tracer = require('./tracer');
+const hapiPluginBuilder = require('./hapi_plugin_builder');
+
+// Partial match of a recorded entry against a query: objects are matched
+// recursively, arrays must contain every element of the query array and
+// functions are used as predicates.
+function matches(value, query) {
+  if (typeof query === 'function') {
+    return !!query(value);
+  }
+  if (Array.isArray(query)) {
+    return Array.isArray(value) && query.every((item) => value.indexOf(item) !== -1);
+  }
+  if (query && typeof query === 'object' && !(query instanceof Error)) {
+    return !!value && typeof value === 'object' &&
+      Object.keys(query).every((key) => matches(value[key], query[key]));
+  }
+  return value === query;
+}
+
+function filter(records, query) {
+  return typeof query === 'undefined' ? records.slice() : records.filter((record) => matches(record, query));
+}
+
+// Fields bunyan adds to every record, left out of the recorded fields.
+const CORE_FIELDS = ['v', 'level', 'name', 'hostname', 'pid', 'time', 'msg'];
+
+// bunyan raw stream of the real logger that keeps its records in `logs`,
+// once serialized and redacted.
+function buildLogStream(logs) {
+  return {
+    write: function(rec) {
+      const fields = {};
+      Object.keys(rec).forEach((key) => {
+        if (CORE_FIELDS.indexOf(key) === -1 && typeof rec[key] !== 'undefined') {
+          fields[key] = rec[key];
+        }
+      });
+      logs.push({
+        level: bunyan.nameFromLevel[rec.level],
+        msg: rec.msg,
+        fields: fields,
+        err: rec.err
+      });
+      return true;
+    }
+  };
+}
+
+// Metrics backend of the real metrics client that keeps what it is sent in
+// `records`. Like StatsD, it takes the sample rate of the values.
+function buildMetricsBackend(records) {
+  const record = (type, name, value, tags, extra) => {
+    records.push(Object.assign({
+      type: type,
+      name: name,
+      value: value,
+      tags: tags || []
+    }, extra));
+  };
+
+  const runCallback = (callback) => {
+    if (typeof callback === 'function') { callback(); }
+  };
+
+  // (name, value, [sampleRate], tags, callback)
+  const sampled = (type, defaultValue) => function(name, value, sampleRate, tags, callback) {
+    const extra = {};
+    if (typeof sampleRate === 'number') {
+      extra.sampleRate = sampleRate;
+    } else {
+      callback = tags;
+      tags = sampleRate;
+    }
+    record(type, name, typeof value === 'undefined' ? defaultValue : value, tags, extra);
+    runCallback(callback);
+  };
+
+  const simple = (type) => function(name, value, tags, callback) {
+    record(type, name, value, tags);
+    runCallback(callback);
+  };
+
+  return {
+    gauge: simple('gauge'),
+    increment: sampled('increment', 1),
+    histogram: sampled('histogram'),
+    distribution: simple('distribution'),
+    set: simple('set'),
+    observe: function(name, value, buckets, tags, callback) {
+      record('observeBucketed', name, value, tags, { buckets: buckets });
+      runCallback(callback);
+    },
+    // e.g. agent.getMetrics({ type: 'event', name: 'deploy', value: 'text' })
+    event: function(title, text, options, tags, callback) {
+      record('event', title, text, tags, { options: options });
+      runCallback(callback);
+    },
+    serviceCheck: function(name, status, options, tags, callback) {
+      record('serviceCheck', name, status, tags, { options: options });
+      runCallback(callback);
+    },
+    close: runCallback
+  };
+}
+
+// opentracing compatible tracer that keeps every span it creates in `spans`.
+function buildTracerImpl(spans) {
+  let lastId = 0;
+
+  const contextOf = (spanOrContext) => {
+    if (!spanOrContext) { return null; }
+    return typeof spanOrContext.context === 'function' ? spanOrContext.context() : spanOrContext;
+  };
+
+  return {
+    startSpan: (name, options) => {
+      const parentContext = contextOf(options && options.childOf);
+      const spanId = String(++lastId);
+      const record = {
+        name: name,
+        spanId: spanId,
+        traceId: parentContext ? parentContext.traceId : spanId,
+        parentId: parentContext ? parentContext.spanId : null,
+        parent: parentContext ? spans.filter((span) => span.spanId === parentContext.spanId)[0] || null : null,
+        tags: Object.assign({}, options && options.tags),
+        finished: false
+      };
+      spans.push(record);
+
+      const context = { traceId: record.traceId, spanId: record.spanId };
+      return {
+        finish: () => { record.finished = true; },
+        setTag: (key, value) => { record.tags[key] = value; },
+        addTags: (tags) => { Object.assign(record.tags, tags); },
+        setOperationName: (operationName) => { record.name = operationName; },
+        context: () => context
+      };
+    },
+    inject: (spanOrContext, format, carrier) => {
+      const context = contextOf(spanOrContext);
+      if (context && carrier && typeof carrier === 'object') {
+        carrier['x-test-trace-id'] = context.traceId;
+        carrier['x-test-span-id'] = context.spanId;
+      }
+    },
+    extract: (format, carrier) => {
+      if (!carrier || !carrier['x-test-span-id']) {
+        return null;
+      }
+      return { traceId: carrier['x-test-trace-id'], spanId: carrier['x-test-span-id'] };
+    }
+  };
+}
+
+function buildErrorReporter(errors) {
+  const client = {
+    isActive: true,
+    captureException: function(err, kwargs, callback) {
+      if (typeof kwargs === 'function') {
+        callback = kwargs;
+        kwargs = {};
+      }
+      errors.push(Object.assign({ type: 'exception', err: err }, kwargs));
+      if (callback) { callback(); }
+    },
+    captureMessage: function(message, kwargs, callback) {
+      if (typeof kwargs === 'function') {
+        callback = kwargs;
+        kwargs = {};
+      }
+      errors.push(Object.assign({ type: 'message', message: message }, kwargs));
+      if (callback) { callback(); }
+    },
+    patchGlobal: stubs.errorReporter.patchGlobal,
+    flush: (callback) => { if (callback) { callback(); } },
+    express: {
+      requestHandler: stubs.errorReporter.express.requestHandler,
+      errorHandler: function(err, req, res, next) {
+        client.captureException(err, { extra: { method: req.method, url: req.url } });
+        next(err);
+      }
+    }
+  };
+
+  client.captureError = client.captureException;
+  client.hapi = {
+    plugin: hapiPluginBuilder(client),
+    pluginV17: hapiPluginBuilder.v17(client)
+  };
+
+  return client;
+}
+
+/**
+ * Build an agent with the same API as the real one, that keeps in memory
+ * everything that is logged, measured, traced or reported so tests can make
+ * assertions on it. The logger and the metrics are the real ones, with
+ * streams and backends that record what they are sent.
+ *
+ * @param {Object} [env] Environment configuration (e.g. default span tags or redacted fields)
+ * @returns {Object} the test agent
+ */
+module.exports = function createTestAgent(env) {
+  const recorded = {
+    logs: [],
+    metrics: [],
+    spans: [],
+    errors: []
+  };
+
+  env = env || {};
+  const pkg = { name: 'test-agent' };
+
+  const agent = {
+    recorded: recorded,
+    initialized: true,
+    errorReporter: buildErrorReporter(recorded.errors),
+    profiler: stubs.profiler
+  };
+
+  // every value sent with a sample rate is recorded, with its rate.
+  agent.metrics = Metrics(pkg, env, {
+    backends: [{ name: 'test', client: buildMetricsBackend(recorded.metrics), sampled: true }],
+    random: () => 0
+  });
+
+  agent.logger = Logger(pkg, Object.assign({ IGNORE_PROCESS_INFO: true }, env), undefined, {
+    metrics: agent.metrics,
+    errorReporter: agent.errorReporter,
+    streams: [{ name: 'test', type: 'raw', level: 'trace', stream: buildLogStream(recorded.logs) }]
+  });
+
+  agent.tracer = Tracer(agent, {}, env, {
+    tracerImpl: buildTracerImpl(recorded.spans),
+    logger: agent.logger
+  });
+
+  agent.init = function() {};
+  agent.shutdown = function() { return Promise.resolve(); };
+
+  // e.g. agent.getLogs({ level: 'error', fields: { log_type: 'foo' } })
+  agent.getLogs = (query) => filter(recorded.logs, query);
+  // e.g. agent.getMetrics({ type: 'increment', name: 'requests', tags: ['status:200'] })
+  agent.getMetrics = (query) => filter(recorded.metrics, query);
+  // e.g. agent.getSpans({ name: 'child', finished: true, parent: { name: 'parent' } })
+  agent.getSpans = (query) => filter(recorded.spans, query);
+  // e.g. agent.getErrors({ type: 'exception', tags: { log_type: 'foo' } })
+  agent.getErrors = (query) => filter(recorded.errors, query);
+
+  agent.reset = function() {
+    Object.keys(recorded).forEach((key) => {
+      recorded[key].length = 0;
+    });
+  };
+
+  return agent;
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+const constants = require('./constants');
+
+// Propagation formats for FORMAT_HTTP_HEADERS carriers. Each codec reads and
+// writes a neutral context ({ traceId, spanId, sampled, traceState }) with
+// 32 hex chars trace ids and 16 hex chars span ids, so a context extracted
+// in one format can be handed to the tracer in its own format.
+// Jaeger and LightStep only support 64 bit trace ids, the high half of a
+// W3C trace id is dropped when it goes through them.
+
+const ZEROS = '00000000000000000000000000000000';
+const HEX = /^[0-9a-f]+$/;
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+function getHeader(carrier, name) {
+  if (carrier[name] !== undefined) {
+    return carrier[name];
+  }
+  const key = Object.keys(carrier).filter((key) => key.toLowerCase() === name)[0];
+  return key ? carrier[key] : undefined;
+}
+
+function pad(id, length) {
+  id = String(id).toLowerCase();
+  if (id.length > length || !HEX.test(id)) {
+    return null;
+  }
+  id = (ZEROS + id).slice(-length);
+  return id === ZEROS.slice(-length) ? null : id;
+}
+
+function buildContext(traceId, spanId, sampled) {
+  traceId = pad(traceId, 32);
+  spanId = pad(spanId, 16);
+  if (!traceId || !spanId) {
+    return null;
+  }
+  return { traceId: traceId, spanId: spanId, sampled: sampled };
+}
+
+function low64(traceId) {
+  return traceId.slice(-16);
+}
+
+const tracecontext = {
+  extract: function(carrier) {
+    const match = TRACEPARENT.exec(String(getHeader(carrier, 'traceparent') || '').trim().toLowerCase());
+    // version ff is forbidden, and version 00 does not allow extra fields.
+    if (!match || match[1] === 'ff' || (match[1] === '00' && match[5])) {
+      return null;
+    }
+    const context = buildContext(match[2], match[3], (parseInt(match[4], 16) & 1) === 1);
+    if (context && getHeader(carrier, 'tracestate')) {
+      context.traceState = String(getHeader(carrier, 'tracestate'));
+    }
+    return context;
+  },
+  inject: function(context, carrier) {
+    carrier.traceparent = `00-${context.traceId}-${context.spanId}-${context.sampled ? '01' : '00'}`;
+    if (context.traceState) {
+      carrier.tracestate = context.traceState;
+    }
+  }
+};
+
+const jaeger = {
+  extract: function(carrier) {
+    const value = getHeader(carrier, 'uber-trace-id');
+    if (!value) {
+      return null;
+    }
+    // the header comes from the clients, malformed ones are ignored.
+    let parts;
+    try {
+      parts = decodeURIComponent(value).split(':');
+    } catch (err) {
+      return null;
+    }
+    if (parts.length !== 4) {
+      return null;
+    }
+    return buildContext(parts[0], parts[1], (parseInt(parts[3], 16) & 1) === 1);
+  },
+  inject: function(context, carrier) {
+    carrier['uber-trace-id'] = `${low64(context.traceId)}:${context.spanId}:0:${context.sampled ? 1 : 0}`;
+  }
+};
+
+const lightstep = {
+  extract: function(carrier) {
+    const traceId = getHeader(carrier, 'ot-tracer-traceid');
+    const spanId = getHeader(carrier, 'ot-tracer-spanid');
+    if (!traceId || !spanId) {
+      return null;
+    }
+    return buildContext(traceId, spanId, String(getHeader(carrier, 'ot-tracer-sampled')) !== 'false');
+  },
+  inject: function(context, carrier) {
+    carrier['ot-tracer-traceid'] = low64(context.traceId);
+    carrier['ot-tracer-spanid'] = context.spanId;
+    carrier['ot-tracer-sampled'] = context.sampled ? 'true' : 'false';
+  }
+};
+
+const CODECS = {
+  tracecontext: tracecontext
+};
+CODECS[constants.TRACER_JAEGER] = jaeger;
+CODECS[constants.TRACER_LIGHTSTEP] = lightstep;
+
+/**
+ * Build the HTTP headers propagation for the configured tracer.
+ *
+ * `TRACE_PROPAGATION` is a list (array or comma separated string) of the
+ * formats to use: `tracecontext` (W3C), `jaeger` or `lightstep`. Contexts are
+ * injected in every format and extracted from the first format present in
+ * the carrier. It defaults to the format of `TRACE_AGENT_CLIENT`.
+ *
+ * @param {Object} env Environment configuration
+ * @returns {Object} the propagation
+ */
+module.exports = function tracePropagation(env) {
+  const native = CODECS[env.TRACE_AGENT_CLIENT] ? env.TRACE_AGENT_CLIENT : null;
+  const configured = Array.isArray(env.TRACE_PROPAGATION) ?
+    env.TRACE_PROPAGATION :
+    String(env.TRACE_PROPAGATION || '').split(',');
+  const formats = configured
+    .map((format) => format.trim().toLowerCase())
+    .filter((format) => CODECS[format]);
+
+  const obj = {
+    native: native,
+    formats: formats.length > 0 ? formats : [native],
+    // Translating is only required (and possible) when the tracer format is
+    // known and there are other formats than the tracer one.
+    enabled: !!native && formats.some((format) => format !== native)
+  };
+
+  /**
+   * Write the context found in `nativeCarrier`, which has been injected by
+   * the tracer, in every configured format.
+   */
+  obj.inject = function(nativeCarrier, carrier, traceState) {
+    const context = CODECS[native].extract(nativeCarrier);
+    obj.formats.forEach((format) => {
+      if (format === native) {
+        return Object.assign(carrier, nativeCarrier);
+      }
+      if (context) {
+        CODECS[format].inject(Object.assign({ traceState: traceState }, context), carrier);
+      }
+    });
+  };
+
+  /**
+   * Find the first configured format present in `carrier` and return a
+   * carrier the tracer can extract, or null if there is none.
+   */
+  obj.extract = function(carrier) {
+    for (let i = 0; i < obj.formats.length; i++) {
+      const format = obj.formats[i];
+      const context = CODECS[format].extract(carrier);
+      if (!context) {
+        continue;
+      }
+      if (format === native) {
+        return { carrier: carrier };
+      }
+      const nativeCarrier = {};
+      CODECS[native].inject(context, nativeCarrier);
+      return { carrier: nativeCarrier, traceState: context.traceState };
+    }
+    return null;
+  };
+
+  return obj;
+};
+
+module.exports.codecs = CODECS;
@@ -1,5 +1,10 @@
 const urlParse = require('url').parse;
 
+// Count, errors and duration of the outgoing requests.
+const REQUESTS = 'http.client.requests';
+const ERRORS = 'http.client.errors';
+const DURATION = 'http.client.duration';
+
 function tagsForResponse(tracer, span, response) {
   const statusCode = response.statusCode;
   span.setTag(tracer.Tags.HTTP_STATUS_CODE, statusCode);
@@ -13,13 +18,52 @@ function tagsForResponse(tracer, span, response) {
   span.setTag(tracer.Tags.HTTP_METHOD, response.req.method);
 }
 
+// Send the metrics and logs of a finished outgoing request. They do not
+// depend on the span, so they are recorded when tracing is disabled too.
+function recordCall(agent, spanOptions, call) {
+  const failed = !!call.error || call.statusCode >= 500;
+  const tags = {
+    host: call.host,
+    method: call.method,
+    status: call.statusCode || 'error'
+  };
+
+  if (spanOptions.metrics && agent.metrics) {
+    agent.metrics.increment(REQUESTS, 1, tags);
+    if (failed) {
+      agent.metrics.increment(ERRORS, 1, tags);
+    }
+    agent.metrics.histogram(DURATION, call.duration, tags);
+  }
+
+  if (!agent.logger) {
+    return;
+  }
+  const slow = spanOptions.logSlowerThan !== undefined && call.duration > spanOptions.logSlowerThan;
+  if ((failed && spanOptions.logFailures) || slow) {
+    agent.logger.warn({
+      log_type: 'outgoing_request',
+      err: call.error,
+      host: call.host,
+      path: call.path,
+      method: call.method,
+      status_code: call.statusCode,
+      duration: call.duration
+    }, `${call.method} ${call.host}${call.path} ${failed ? 'failed' : 'was slow'} (${call.duration}ms)`);
+  }
+}
+
 // Given a tracer, return a function that is capable of
 // wrapping outgoing calls to 'request.js' in tracing spans.
-module.exports = function requestWrapper(tracer) {
+module.exports = function requestWrapper(tracer, agent) {
+  agent = agent || {};
   /** Wrap an outgoing call to request.js in a child span,
   * @param {Object} spanOpts - (optional) Options for the created span
   * @param {Object} spanOpts.spanTags - Additional tags to apply to the created span.
   * @param {Object} spanOpts.parentSpan - A parent span, if any.
+  * @param {Boolean} spanOpts.metrics - Count the calls and observe their duration.
+  * @param {Number} spanOpts.logSlowerThan - Log a warning for calls that take longer (ms).
+  * @param {Boolean} spanOpts.logFailures - Log a warning for errors and 5xx responses.
   * @param {function} target - The target function (e.g. 'request', or 'request.get').
   */
   return function(spanOpts, target) {
@@ -53,21 +97,16 @@ module.exports = function requestWrapper(tracer) {
       params.headers = params.headers || {};
       tracer.inject(span, tracer.FORMAT_HTTP_HEADERS, params.headers);
 
-      if (!params.callback) {
-        // stream response.
-        return target(params)
-          .once('response', (response) => {
-            tagsForResponse(tracer, span, response);
-            span.finish();
-          })
-          .once('error', () => {
-            span.setTag(tracer.Tags.ERROR, true);
-            span.finish();
-          });
-      }
-      // callback response.
-      const originalCallback = params.callback;
-      params.callback = function(error, response, body) {
+      const start = Date.now();
+      let req;
+      let finished = false;
+      // streams can emit an error after the response, e.g. when the socket
+      // is reset while reading the body.
+      const finish = (error, response) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
         if (error) {
           span.setTag(tracer.Tags.ERROR, true);
         }
@@ -75,9 +114,33 @@ module.exports = function requestWrapper(tracer) {
           tagsForResponse(tracer, span, response);
         }
         span.finish();
+        // the request knows the method of aliases such as 'request.get'.
+        const method = (response && response.req.method) || (req && req.method) || params.method || 'GET';
+        recordCall(agent, spanOptions, {
+          host: parsed.host,
+          path: parsed.pathname,
+          method: method.toUpperCase(),
+          statusCode: response && response.statusCode,
+          error: error,
+          duration: Date.now() - start
+        });
+      };
+
+      if (!params.callback) {
+        // stream response.
+        req = target(params)
+          .once('response', (response) => finish(null, response))
+          .once('error', (error) => finish(error));
+        return req;
+      }
+      // callback response.
+      const originalCallback = params.callback;
+      params.callback = function(error, response, body) {
+        finish(error, response);
         originalCallback(error, response, body);
       };
-      return target(params);
+      req = target(params);
+      return req;
     };
   };
 };
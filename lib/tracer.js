@@ -8,6 +8,8 @@ const tracerFactory = require('./tracer_factory');
 const constants = require('./constants');
 const os = require('os');
 const tracerUtils = require('./tracer_utils');
+const tracePropagation = require('./trace_propagation');
+const activeSpans = require('./active_span');
 
 const protoRoot = new protobuf.Root();
 protoRoot.loadSync(path.join(__dirname, 'trace_context.proto'));
@@ -25,9 +27,11 @@ const Tags = Object.assign({
 }, tracing.Tags);
 
 class SpanWrapper {
-  constructor(span, tracer) {
+  constructor(span, tracer, traceState) {
     this._span = span;
     this._tracer = tracer;
+    // W3C tracestate received with the trace, forwarded to child spans.
+    this._traceState = traceState;
   }
 
   getSpan() {
@@ -94,28 +98,38 @@ module.exports = function Tracer(agent, pkg, env, params) {
   DEFAULT_TAGS[Tags.AUTH0_ENVIRONMENT] = env.ENVIRONMENT;
   DEFAULT_TAGS[Tags.AUTH0_HOSTNAME] = env.METRICS_HOST || os.hostname();
 
+  const propagation = tracePropagation(env);
+
   // Wrap the native opentracing 'span' object
   // with a reduced API that discourages the use
   // of features we don't want to use yet, while
   // also giving us a place to hook additional
   // functionality.
-  function wrapSpan(srcSpan) {
-    return srcSpan instanceof SpanWrapper ? srcSpan : new SpanWrapper(srcSpan, obj);
+  function wrapSpan(srcSpan, traceState) {
+    return srcSpan instanceof SpanWrapper ? srcSpan : new SpanWrapper(srcSpan, obj, traceState);
   }
 
   function unwrapSpan(srcSpan) {
     return srcSpan instanceof SpanWrapper ? srcSpan.getSpan() : srcSpan;
   }
 
+  // Spans without `childOf` (or with an undefined one) are children of the
+  // active span, if any. Use `childOf: null` to start a new trace.
   obj.startSpan = function(name, spanOptions) {
     const unwrappedOptions = {};
     if (spanOptions && spanOptions.childOf) {
       unwrappedOptions.childOf = unwrapSpan(spanOptions.childOf);
+    } else if ((!spanOptions || spanOptions.childOf === undefined) && activeSpans.get()) {
+      spanOptions = Object.assign({}, spanOptions, { childOf: activeSpans.get() });
+      unwrappedOptions.childOf = unwrapSpan(spanOptions.childOf);
     }
 
     const newSpanOptions = Object.assign({}, spanOptions, unwrappedOptions);
 
-    const wrappedSpan = wrapSpan(obj._tracer.startSpan(name, newSpanOptions));
+    const traceState = spanOptions && spanOptions.childOf instanceof SpanWrapper ?
+      spanOptions.childOf._traceState :
+      undefined;
+    const wrappedSpan = wrapSpan(obj._tracer.startSpan(name, newSpanOptions), traceState);
     wrappedSpan.addTags(DEFAULT_TAGS);
 
     return wrappedSpan;
@@ -131,7 +145,10 @@ module.exports = function Tracer(agent, pkg, env, params) {
   // e.g.
   // var context;
   // tracer.inject(span, tracer.FORMAT_AUTH0_BINARY, (ctx) => { context = ctx });
+  // When using the HTTP_HEADERS format, the context is injected in every
+  // format set in TRACE_PROPAGATION (e.g. W3C `traceparent` headers).
   obj.inject = function(spanOrContext, format, carrier) {
+    const traceState = spanOrContext instanceof SpanWrapper ? spanOrContext._traceState : undefined;
     spanOrContext = unwrapSpan(spanOrContext);
     carrier = unwrapSpan(carrier);
 
@@ -158,10 +175,18 @@ module.exports = function Tracer(agent, pkg, env, params) {
       }
     }
 
+    if (format === obj.FORMAT_HTTP_HEADERS && propagation.enabled) {
+      const nativeCarrier = {};
+      obj._tracer.inject(spanOrContext, format, nativeCarrier);
+      return propagation.inject(nativeCarrier, carrier, traceState);
+    }
+
     obj._tracer.inject(spanOrContext, format, carrier);
   };
 
   // Extract span context from a carrier, using the specified format.
+  // When using the HTTP_HEADERS format, the context is extracted from the
+  // first format set in TRACE_PROPAGATION that is present in the carrier.
   obj.extract = function(format, carrier) {
     carrier = unwrapSpan(carrier);
 
@@ -183,27 +208,92 @@ module.exports = function Tracer(agent, pkg, env, params) {
         return null;
       }
     }
+
+    if (format === obj.FORMAT_HTTP_HEADERS && propagation.enabled && carrier) {
+      const extracted = propagation.extract(carrier);
+      if (extracted) {
+        const context = obj._tracer.extract(format, extracted.carrier);
+        return context ? wrapSpan(context, extracted.traceState) : context;
+      }
+      if (propagation.formats.indexOf(propagation.native) === -1) {
+        return null;
+      }
+    }
+
     const span = obj._tracer.extract(format, carrier);
     return span ? wrapSpan(span) : span;
   };
 
+  // The span active in the current async execution context (e.g. the request
+  // span set by the express and hapi middleware), or null if there is none.
+  // Always null on node versions without AsyncLocalStorage.
+  obj.activeSpan = function() {
+    return activeSpans.get();
+  };
+
+  // Run `fn` with `span` as the active span, and return its result.
+  obj.withSpan = function(span, fn) {
+    return activeSpans.run(wrapSpan(span), fn);
+  };
+
+  // Make `span` the active span for the rest of the current execution context.
+  obj.enterSpan = function(span) {
+    activeSpans.enter(wrapSpan(span));
+  };
+
   // captureFunc is a convenience function for executing a function in a child
   // span, which is passed to the function as an argument. The created span is
   // automatically finished regardless of outcome, and is tagged with an error
-  // if an exception is thrown.
+  // if an exception is thrown. The span is active while the function runs.
+  // When the function returns a promise (or any thenable) the span is finished
+  // once it settles and tagged with an error if it is rejected. The result of
+  // the function is returned.
   obj.captureFunc = function(name, fn, parentSpan) {
     const span = obj.startSpan(name, {
       childOf: parentSpan
     });
-    try {
-      fn(span);
-      span.finish();
-    } catch (e) {
+    const fail = () => {
       span.setTag(obj.Tags.ERROR, true);
       span.setTag(obj.Tags.SAMPLING_PRIORITY, 1);
       span.finish();
+    };
+
+    var result;
+    try {
+      result = obj.withSpan(span, () => fn(span));
+    } catch (e) {
+      fail();
       throw e;
     }
+
+    if (result && typeof result.then === 'function') {
+      return result.then((value) => {
+        span.finish();
+        return value;
+      }, (err) => {
+        fail();
+        throw err;
+      });
+    }
+
+    span.finish();
+    return result;
+  };
+
+  // Flush the spans that have not been reported yet and close the tracer.
+  obj.close = function(callback) {
+    callback = callback || function() {};
+    const impl = obj._tracer.baseTracer || obj._tracer;
+
+    if (typeof impl.close === 'function') {
+      // jaeger
+      return impl.close(() => callback());
+    }
+    if (typeof impl.flush === 'function') {
+      // lightstep
+      return impl.flush((err) => callback(err));
+    }
+    callback();
   };
 
   // Add middleware hooks.
@@ -214,7 +304,7 @@ module.exports = function Tracer(agent, pkg, env, params) {
   };
 
   obj.helpers = {
-    wrapRequest: requestHelper(obj),
+    wrapRequest: requestHelper(obj, agent),
     mapToTags: tracerUtils.mapToTags
   };
 
@@ -5,7 +5,9 @@ function createRequestSpan(tracer, req) {
   const wireCtx = tracer.extract(tracer.FORMAT_HTTP_HEADERS, req.headers);
   // Placeholder, gets overriden before shipping the first span
   const name = req.path || 'request';
-  const span = tracer.startSpan(name, { childOf: wireCtx });
+  // Request spans never inherit the active span, they start a new trace
+  // unless the request carries a trace context.
+  const span = tracer.startSpan(name, { childOf: wireCtx || null });
   span.setTag(tracer.Tags.HTTP_METHOD, req.method);
   span.setTag(tracer.Tags.SPAN_KIND, tracer.Tags.SPAN_KIND_RPC_SERVER);
   // This ain't available on creation, but its on response (either framework)
@@ -23,6 +25,10 @@ function hapiHelper(tracer) {
     };
   };
 
+  h.onRequest = (req) => {
+    tracer.enterSpan(req.a0trace.span);
+  };
+
   h.onPreAuth = (req) => {
     req.a0trace.auth = tracer.startSpan('auth', { childOf: req.a0trace.span });
   };
@@ -122,7 +128,7 @@ module.exports = {
         span.finish();
       });
 
-      next();
+      tracer.withSpan(span, next);
     };
 
     // Allow wrapping of existing middlware.
@@ -187,6 +193,11 @@ module.exports = {
     const register = function(server, options, next) {
       server.decorate('request', 'a0trace',  helper.decorateRequest, { apply: true });
 
+      server.ext('onRequest', (req, reply) => {
+        helper.onRequest(req);
+        reply.continue();
+      });
+
       server.ext('onPreAuth', (req, reply) => {
         helper.onPreAuth(req);
         reply.continue();
@@ -228,6 +239,11 @@ module.exports = {
     plugin.register = function(server) {
       server.decorate('request', 'a0trace', helper.decorateRequest, { apply: true, once: true });
 
+      server.ext('onRequest', (req, reply) => {
+        helper.onRequest(req);
+        return reply.continue;
+      });
+
       server.ext('onPreAuth', (req, reply) => {
         helper.onPreAuth(req);
         return reply.continue;
@@ -60,6 +60,31 @@ function serialize(data) {
   }
 }
 
+// Trace and span ids of a span (or span context) as hex strings, these
+// are the ids shown by Jaeger and LightStep. Returns null when the ids are
+// not known, e.g. for stubbed spans.
+exports.getSpanIds = function getSpanIds(spanOrContext) {
+  const context = spanOrContext && typeof spanOrContext.context === 'function' ?
+    spanOrContext.context() :
+    spanOrContext;
+
+  if (!context) {
+    return null;
+  }
+  if (context.traceIdStr && context.spanIdStr) {
+    // jaeger
+    return { trace_id: context.traceIdStr, span_id: context.spanIdStr };
+  }
+  if (context._traceGUID && context._guid) {
+    // lightstep
+    return { trace_id: context._traceGUID, span_id: context._guid };
+  }
+  if (context.traceId && context.spanId) {
+    return { trace_id: String(context.traceId), span_id: String(context.spanId) };
+  }
+  return null;
+};
+
 exports.mapToTags = function mapToTags(map) {
   let keys = Object.keys(map);
 
@@ -1,5 +1,8 @@
 'use strict';
 
+const tracerUtils = require('./tracer_utils');
+const activeSpans = require('./active_span');
+
 exports.tag = function(key, val) {
   return key + ':' + val;
 };
@@ -17,6 +20,14 @@ exports.processTags = function(tags) {
   return [];
 };
 
+// List configuration values can be arrays or comma separated strings.
+exports.parseList = function(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list
+    .map((item) => String(item).trim())
+    .filter((item) => item.length > 0);
+};
+
 exports.buildKinesisOptions = function (configMap, keepAliveAgent) {
   return {
     accessKeyId: configMap.AWS_ACCESS_KEY_ID,
@@ -40,20 +51,125 @@ exports.buildKinesisOptions = function (configMap, keepAliveAgent) {
   };
 };
 
-exports.decorateLogger = function(logger) {
+// Run the callback style `tasks` in parallel and call `callback` once all
+// of them are done, with the first error if any of them failed.
+exports.whenAll = function(tasks, callback) {
+  let pending = tasks.length;
+  let error = null;
+
+  if (pending === 0) {
+    return callback(null);
+  }
+
+  tasks.forEach(function(task) {
+    task(function(err) {
+      error = error || err || null;
+      if (--pending === 0) {
+        callback(error);
+      }
+    });
+  });
+};
+
+// Batches being sent by KinesisWritable streams, by stream.
+const kinesisDispatches = new WeakMap();
+
+// Keep track of the batches a KinesisWritable stream is sending, including
+// the ones its own flush takes off the queue, so `flushKinesisStream` can
+// wait for them. It wraps `dispatch` of aws-kinesis-writable 4.3.0.
+exports.trackKinesisStream = function(stream) {
+  if (kinesisDispatches.has(stream)) {
+    return stream;
+  }
+
+  const state = { pending: 0, waiting: [] };
+  kinesisDispatches.set(stream, state);
+
+  const dispatch = stream.dispatch;
+  stream.dispatch = function(records, callback) {
+    state.pending++;
+    return dispatch.call(stream, records, function(err) {
+      if (--state.pending === 0) {
+        state.waiting.splice(0).forEach((done) => done());
+      }
+      if (callback) {
+        callback(err);
+      }
+    });
+  };
+  return stream;
+};
+
+// Send every record buffered by a KinesisWritable stream without waiting
+// for its buffer timeout or length to be reached, then wait for the batches
+// in flight if the stream is tracked. It relies on the internals (`timer`,
+// `recordsQueue` and `dispatch`) of aws-kinesis-writable 4.3.0, which is
+// pinned in package.json.
+exports.flushKinesisStream = function(stream, callback) {
+  if (stream.timer) {
+    clearTimeout(stream.timer);
+    stream.timer = null;
+  }
+
+  const batches = [];
+  while (stream.recordsQueue.length > 0) {
+    batches.push(stream.recordsQueue.splice(0, stream.buffer.length));
+  }
+
+  exports.whenAll(batches.map(function(records) {
+    return function(done) { stream.dispatch(records, done); };
+  }), function(err) {
+    const state = kinesisDispatches.get(stream);
+    if (!state || state.pending === 0) {
+      return callback(err);
+    }
+    state.waiting.push(() => callback(err));
+  });
+};
+
+// Add the ids of `span` to the fields of a log call, so records can be
+// correlated with traces.
+const addSpanIds = function(args, span) {
+  const ids = args.length > 0 && tracerUtils.getSpanIds(span);
+  if (!ids) {
+    return args;
+  }
+
+  if (args[0] instanceof Error) {
+    // bunyan uses the error message when there is no message
+    const msg = args.length === 1 ? [args[0].message] : [];
+    return [Object.assign({ err: args[0] }, ids)].concat(msg, args.slice(1));
+  }
+  if (args[0] && typeof args[0] === 'object') {
+    return [Object.assign({}, ids, args[0])].concat(args.slice(1));
+  }
+  return [ids].concat(args);
+};
+
+// Decorate a bunyan logger. Records include the trace and span ids of
+// `span` or, if there is none, of the active span. Child loggers can be
+// bound to a span with `logger.child({ span: span })`.
+exports.decorateLogger = function(logger, span) {
   const createChildLoggerFactory = function(logger) {
     return function child(childOptions, simple) {
-      return exports.decorateLogger(logger.child(childOptions, simple));
+      let childSpan = span;
+      if (childOptions && childOptions.span && typeof childOptions.span.context === 'function') {
+        childSpan = childOptions.span;
+        childOptions = Object.assign({}, childOptions);
+        delete childOptions.span;
+      }
+      return exports.decorateLogger(logger.child(childOptions, simple), childSpan);
     };
   };
   const createLogFormatter = function(logger, lvl) {
     return function formatLog() {
-      const args = Array.from(arguments);
+      let args = Array.from(arguments);
       if (typeof args[0] === 'string' && typeof args[1] !== 'string') {
         const swap = args[0];
         args[0] = args[1] || {};
         args[1] = swap;
       }
+      args = addSpanIds(args, span || activeSpans.get());
       return logger[lvl].apply(logger, args);
     };
   };
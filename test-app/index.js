@@ -16,6 +16,10 @@ agent.logger.warn('Warning message');
 agent.logger.error('Error message');
 agent.logger.fatal('Fatal message');
 
-setTimeout(() => {
-    // do nothing - Sleep the process to wait until messages are sent
-}, 2000);
+// Wait until messages are sent
+agent.shutdown().then(() => {
+    process.exit(0);
+}).catch((err) => {
+    console.error('The instrumentation could not be flushed', err);
+    process.exit(1);
+});
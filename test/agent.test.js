@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('assert');
+const sinon = require('sinon');
 
 const agent = require('../');
 
@@ -16,4 +17,62 @@ describe('agent', function() {
       assert(metrics === agent.metrics);
     });
   });
+
+  describe('#shutdown', function() {
+    var calls;
+    var clients;
+    beforeEach(function() {
+      calls = [];
+      const recording = (name) => sinon.spy((callback) => {
+        calls.push(name);
+        setImmediate(callback);
+      });
+      clients = {
+        tracer: { close: recording('tracer') },
+        metrics: { close: recording('metrics') },
+        errorReporter: { flush: recording('errorReporter') },
+        logger: { flush: recording('logger') }
+      };
+    });
+
+    // an agent with the same shutdown and recording clients.
+    const build = () => Object.assign({}, agent, { _shutdown: null }, clients);
+
+    it('should flush every sink', function() {
+      return agent.shutdown();
+    });
+
+    it('should flush the clients, and the logger last', function() {
+      return build().shutdown().then(function() {
+        sinon.assert.calledOnce(clients.tracer.close);
+        sinon.assert.calledOnce(clients.metrics.close);
+        sinon.assert.calledOnce(clients.errorReporter.flush);
+        sinon.assert.calledOnce(clients.logger.flush);
+        assert.equal(calls[calls.length - 1], 'logger');
+      });
+    });
+
+    it('should reject when a client fails to flush', function() {
+      clients.metrics.close = (callback) => callback(new Error('closed'));
+      return build().shutdown().then(function() {
+        throw new Error('should have failed');
+      }, function(err) {
+        assert.equal(err.message, 'closed');
+        sinon.assert.calledOnce(clients.logger.flush);
+      });
+    });
+
+    it('should reject after the timeout', function() {
+      clients.errorReporter.flush = () => {};
+      return build().shutdown({ timeout: 10 }).then(function() {
+        throw new Error('should have failed');
+      }, function(err) {
+        assert.equal(err.message, 'Instrumentation shutdown timed out after 10ms');
+      });
+    });
+
+    it('should return the same promise when called twice', function() {
+      assert(agent.shutdown() === agent.shutdown());
+    });
+  });
 });
@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const Auth0SentryStream = require('../lib/auth0_sentry_stream').Auth0SentryStream;
+
+describe('Auth0SentryStream', function() {
+  var client;
+  var metrics;
+  beforeEach(function() {
+    client = { captureException: sinon.spy(), captureMessage: sinon.spy() };
+    metrics = { increment: sinon.spy() };
+  });
+
+  function record(fields) {
+    return Object.assign({ level: 50, msg: 'failed' }, fields);
+  }
+
+  it('should send the configured record fields as tags', function() {
+    new Auth0SentryStream(client, { tags: ['tenant'] }).write(record({ tenant: 'acme', log_type: 'foo', other: 'bar' }));
+    assert.deepEqual(client.captureMessage.getCall(0).args[1].tags, { log_type: 'foo', tenant: 'acme' });
+  });
+
+  describe('fingerprint', function() {
+    it('should not be sent unless configured', function() {
+      new Auth0SentryStream(client).write(record());
+      assert.equal(client.captureMessage.getCall(0).args[1].fingerprint, undefined);
+    });
+
+    it('should be built from the configured parts of the record', function() {
+      const stream = new Auth0SentryStream(client, { fingerprint: ['log_type', 'code', 'message'] });
+      const err = new Error('user 1234 not found in 0af7651916cd43dd8448eb211c80319c');
+      err.code = 'ENOTFOUND';
+      stream.write(record({ err: err, log_type: 'db' }));
+
+      assert.deepEqual(client.captureException.getCall(0).args[1].fingerprint, [
+        'db',
+        'ENOTFOUND',
+        'user <n> not found in <id>'
+      ]);
+    });
+  });
+
+  describe('rate limit', function() {
+    var clock;
+    var stream;
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+      stream = new Auth0SentryStream(client, { rateLimit: 2, rateLimitInterval: 1000, metrics: metrics });
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should drop duplicated events over the limit', function() {
+      stream.write(record({ log_type: 'db' }));
+      stream.write(record({ log_type: 'db', msg: 'failed' }));
+      stream.write(record({ log_type: 'db' }));
+      stream.write(record({ log_type: 'http' }));
+
+      assert.equal(client.captureMessage.callCount, 3);
+      sinon.assert.calledOnce(metrics.increment);
+      sinon.assert.calledWith(metrics.increment, 'error_reporter.suppressed', 1, { log_type: 'db' });
+    });
+
+    it('should report the suppressed events once the interval has elapsed', function() {
+      stream.write(record());
+      stream.write(record());
+      stream.write(record());
+      stream.write(record());
+      clock.tick(1000);
+      stream.write(record());
+
+      assert.equal(client.captureMessage.callCount, 3);
+      assert.equal(client.captureMessage.getCall(2).args[1].extra.suppressed_events, 2);
+    });
+
+    it('should sample the events over the limit', function() {
+      stream.sampleRate = 0.5;
+      sinon.stub(Math, 'random').returns(0.4);
+      try {
+        stream.write(record());
+        stream.write(record());
+        stream.write(record());
+      } finally {
+        Math.random.restore();
+      }
+      assert.equal(client.captureMessage.callCount, 3);
+    });
+  });
+});
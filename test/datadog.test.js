@@ -0,0 +1,86 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const DataDogLogger = require('../lib/datadog');
+
+describe('DataDog logger', function() {
+  var logger;
+  var reporter;
+  var api;
+  beforeEach(function() {
+    reporter = { report: sinon.spy((series, onSuccess) => onSuccess()) };
+    api = {
+      client: { request: sinon.spy((method, path, params, callback) => callback(null, {}, 202)) },
+      event: { create: sinon.spy((title, text, properties, callback) => callback(null, {})) },
+      serviceCheck: { check: sinon.spy((check, host, status, parameters, callback) => callback(null, {})) }
+    };
+    logger = new DataDogLogger({ reporter: reporter, api: api, host: 'host1', prefix: 'app.' });
+    reporter.report.resetHistory();
+  });
+
+  it('should send the number of unique values of the sets on flush', function(done) {
+    logger.set('users', 'u1', ['tenant:a']);
+    logger.set('users', 'u2', ['tenant:a']);
+    logger.set('users', 'u1', ['tenant:a']);
+    logger.flush(function() {
+      const series = reporter.report.firstCall.args[0];
+      const users = series.filter((s) => s.metric === 'app.users')[0];
+      assert.equal(users.points[0][1], 2);
+      assert.deepEqual(users.tags, ['tenant:a']);
+      done();
+    });
+  });
+
+  it('should send the distributions on flush', function(done) {
+    logger.distribution('latency', 10, ['route:/']);
+    logger.distribution('latency', 20, ['route:/']);
+    logger.flush(function() {
+      sinon.assert.calledWith(api.client.request, 'POST', '/distribution_points');
+      const series = api.client.request.firstCall.args[2].body.series;
+      assert.equal(series.length, 1);
+      assert.equal(series[0].metric, 'app.latency');
+      assert.deepEqual(series[0].points[0][1], [10, 20]);
+      assert.deepEqual(series[0].tags, ['route:/']);
+      assert.equal(series[0].host, 'host1');
+
+      // they are sent once.
+      logger.flush(function() {
+        sinon.assert.calledOnce(api.client.request);
+        done();
+      });
+    });
+  });
+
+  it('should report the errors of the distributions', function(done) {
+    api.client.request = sinon.spy((method, path, params, callback) => callback(null, {}, 403));
+    logger.distribution('latency', 10, []);
+    logger.flush(function() {
+      done(new Error('should fail'));
+    }, function(err) {
+      assert.ok(/status=403/.test(err.message));
+      done();
+    });
+  });
+
+  it('should send events', function(done) {
+    logger.event('Deploy', 'done', { alertType: 'success', date: 1500000000000 }, ['service:api'], function(err) {
+      sinon.assert.calledWithMatch(api.event.create, 'Deploy', 'done', {
+        alert_type: 'success',
+        date_happened: 1500000000,
+        host: 'host1',
+        tags: ['service:api']
+      });
+      done(err);
+    });
+  });
+
+  it('should send service checks', function(done) {
+    logger.serviceCheck('db.connection', 1, { message: 'slow' }, ['db:main'], function(err) {
+      sinon.assert.calledWithMatch(api.serviceCheck.check, 'app.db.connection', 'host1', 1, {
+        message: 'slow',
+        tags: ['db:main']
+      });
+      done(err);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const DogStatsD = require('../lib/dogstatsd');
+
+describe('DogStatsD', function() {
+  var client;
+  var messages;
+  beforeEach(function() {
+    client = new DogStatsD({ host: '127.0.0.1', prefix: 'app.', global_tags: ['env:test'] });
+    messages = [];
+    client.socket.send = sinon.spy((buf, offset, length, port, host, callback) => {
+      messages.push(buf.toString());
+      if (callback) {
+        callback(null, length);
+      }
+    });
+  });
+
+  afterEach(function() {
+    client.close();
+  });
+
+  describe('close', function() {
+    it('should drop the metrics sent after close', function(done) {
+      client.close(function(err) {
+        assert.doesNotThrow(function() {
+          client.increment('requests', 1);
+          client.gauge('size', 3);
+        });
+        assert.deepEqual(messages, []);
+        done(err);
+      });
+    });
+
+    it('should close the socket once', function(done) {
+      const close = sinon.spy(client.socket, 'close');
+      client.close();
+      client.close(function(err) {
+        sinon.assert.calledOnce(close);
+        done(err);
+      });
+    });
+  });
+
+  it('should send distributions', function(done) {
+    client.distribution('latency', 12, ['route:/login'], function(err) {
+      assert.deepEqual(messages, ['app.latency:12|d|#route:/login,env:test']);
+      done(err);
+    });
+  });
+
+  it('should send sets', function() {
+    client.set('users', 'u1', ['tenant:a']);
+    assert.deepEqual(messages, ['app.users:u1|s|#tenant:a,env:test']);
+  });
+
+  it('should send events', function(done) {
+    client.event('Deploy', 'version 1\ndone', {
+      date: new Date(1500000000000),
+      hostname: 'host1',
+      priority: 'low',
+      alertType: 'success',
+      aggregationKey: 'deploys'
+    }, ['service:api'], function(err) {
+      assert.deepEqual(messages, [
+        '_e{6,15}:Deploy|version 1\\ndone|d:1500000000|h:host1|k:deploys|p:low|t:success|#service:api,env:test'
+      ]);
+      done(err);
+    });
+  });
+
+  it('should send service checks with the message last', function(done) {
+    client.serviceCheck('db.connection', 2, { hostname: 'host1', message: 'timeout m:1' }, ['db:main'], function(err) {
+      assert.deepEqual(messages, ['_sc|app.db.connection|2|h:host1|#db:main,env:test|m:timeout m\\:1']);
+      done(err);
+    });
+  });
+
+  it('should send the sample rate without sampling again', function() {
+    client.increment('logins', 1, 0.01, ['tenant:a']);
+    assert.deepEqual(messages, ['app.logins:1|c|@0.01|#tenant:a,env:test']);
+  });
+
+  it('should not send anything when it is a mock', function(done) {
+    client.mock = true;
+    client.event('Deploy', 'done', {}, [], function(err) {
+      assert.equal(messages.length, 0);
+      done(err);
+    });
+  });
+
+  describe('with a buffer', function() {
+    const build = (options) => {
+      client.close();
+      client = new DogStatsD(Object.assign({ host: '127.0.0.1' }, options));
+      client.socket.send = sinon.spy((buf, offset, length, port, host, callback) => {
+        messages.push(buf.toString());
+        if (callback) {
+          callback(null, length);
+        }
+      });
+    };
+
+    it('should pack the metrics in datagrams of up to maxBufferSize bytes', function() {
+      build({ maxBufferSize: 20 });
+      client.increment('a', 1); // a:1|c, 5 bytes
+      client.increment('b', 1);
+      client.increment('c', 1);
+      assert.deepEqual(messages, []);
+      client.increment('d', 1);
+      assert.deepEqual(messages, ['a:1|c\nb:1|c\nc:1|c']);
+      client.increment('e', 1);
+      client.increment('f', 1);
+      client.increment('g', 1);
+      assert.deepEqual(messages, ['a:1|c\nb:1|c\nc:1|c', 'd:1|c\ne:1|c\nf:1|c']);
+    });
+
+    it('should send the metrics when the buffer is full', function() {
+      build({ maxBufferSize: 11 });
+      client.increment('a', 1);
+      client.increment('b', 1);
+      assert.deepEqual(messages, ['a:1|c\nb:1|c']);
+    });
+
+    it('should send the buffer periodically', function(done) {
+      build({ maxBufferSize: 1000, bufferFlushInterval: 5 });
+      client.increment('a', 1, [], function(err) {
+        assert.deepEqual(messages, ['a:1|c']);
+        done(err);
+      });
+      assert.deepEqual(messages, []);
+    });
+
+    it('should send the buffer before closing the socket', function() {
+      build({ maxBufferSize: 1000 });
+      const close = sinon.spy(client.socket, 'close');
+      client.increment('a', 1);
+      client.close();
+      assert.deepEqual(messages, ['a:1|c']);
+      sinon.assert.calledOnce(close);
+      // the socket is already closed.
+      client = { close: () => {} };
+    });
+
+    it('should call back once the buffer is sent and the socket closed', function(done) {
+      build({ maxBufferSize: 1000 });
+      var sent = null;
+      client.socket.send = (buf, offset, length, port, host, callback) => {
+        sent = callback;
+      };
+      const close = sinon.spy(client.socket, 'close');
+      client.increment('a', 1);
+      client.close(function(err) {
+        sinon.assert.calledOnce(close);
+        client = { close: () => {} };
+        done(err);
+      });
+      sinon.assert.notCalled(close);
+      setImmediate(() => sent(null, 5));
+    });
+  });
+});
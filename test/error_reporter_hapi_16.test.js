@@ -19,6 +19,15 @@ describe('error reporter with Hapi server < v17', function () {
       }
     });
 
+    server.route({
+      method: 'POST',
+      path: '/secretRoute',
+      handler: function(request, reply) {
+        request.pre._originalPayload = { username: 'john', password: 'secret' };
+        reply(error);
+      }
+    });
+
     var plugin = {
       register: hapiPluginBuilder(ravenClient),
       options: {
@@ -69,4 +78,18 @@ describe('error reporter with Hapi server < v17', function () {
       }, 200)
     });
   });
+
+  it('should redact sensitive fields of the payload and the query', function (done) {
+    var request = { method: 'POST',  url: `${server.info.uri}/secretRoute?access_token=secret` };
+    server.inject(request, function () {
+      setTimeout(function () {
+        const extra = ravenClient.captureError.lastCall.args[1].extra;
+
+        assert.deepEqual(extra.payload, { username: 'john', password: '[REDACTED]' });
+        assert.equal(extra.query.access_token, '[REDACTED]');
+
+        done();
+      }, 200);
+    });
+  });
 });
@@ -53,3 +53,52 @@ describe('error reporter with Hapi server >= v17', function () {
   });
 
 });
+
+describe('error reporter pluginV17 with Hapi server >= v17', function () {
+  var server;
+  var error = new Error();
+  var ravenClient = { captureError: sinon.stub() };
+
+  before(async function() {
+    server = new Hapi17.Server({ port: 9877 });
+    server.route({
+      method: 'POST',
+      path: '/niceRoute',
+      handler: async function(request) {
+        request.pre._originalPayload = { password: 'secret' };
+        throw error;
+      }
+    });
+
+    await server.register({
+      plugin: hapiPluginBuilder.v17(ravenClient),
+      options: { tags: 't1' }
+    });
+    return server.start();
+  });
+
+  after(function () {
+    return server.stop();
+  });
+
+  it('should expose the client', function () {
+    assert(server.plugins['auth0-instrumentation'].client === ravenClient);
+  });
+
+  it('should log if a error happen in the server', async function () {
+    const response = await server.inject({
+      method: 'POST',
+      url: `${server.info.uri}/niceRoute?p1=2`,
+    });
+    assert(500 === response.statusCode, 'expect a 500 error');
+    const firstParam = ravenClient.captureError.getCall(0).args[0];
+    const secondParam = ravenClient.captureError.getCall(0).args[1];
+
+    assert(firstParam === error);
+    assert(secondParam.extra.id, 'id must exist');
+    assert(secondParam.extra.path === '/niceRoute', 'path must be /niceRoute');
+    assert.deepEqual(secondParam.extra.payload, { password: '[REDACTED]' });
+    assert(secondParam.extra.query.p1 === '2', 'must have a qs param called p1, and must be equals 2');
+    assert(secondParam.tags === 't1', 'tags must be t1');
+  });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const sinon = require('sinon');
+const $require = require('proxyquire').noPreserveCache();
+
+const KinesisPoolStream = require('../lib/kinesis_pool').KinesisPoolStream;
+const resolveEntry = require('../lib/kinesis_pool').resolveEntry;
+
+function buildMember(name, level) {
+  const stream = new EventEmitter();
+  stream.write = sinon.spy();
+  return { name: name, stream: stream, level: level || 30, raw: true };
+}
+
+describe('KinesisPoolStream', function() {
+  var clock;
+  var primary;
+  var secondary;
+  var pool;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+    sinon.stub(console, 'error');
+    primary = buildMember('primary');
+    secondary = buildMember('secondary');
+    pool = new KinesisPoolStream([primary, secondary], { recoveryInterval: 1000 });
+  });
+
+  afterEach(function() {
+    clock.restore();
+    sinon.restore();
+  });
+
+  it('should write to the primary stream', function() {
+    pool.write({ level: 30, msg: 'foo' });
+    sinon.assert.calledOnce(primary.stream.write);
+    sinon.assert.notCalled(secondary.stream.write);
+  });
+
+  it('should apply the level of each member', function() {
+    primary.level = 40;
+    pool.write({ level: 30, msg: 'foo' });
+    sinon.assert.notCalled(primary.stream.write);
+  });
+
+  it('should use the lowest member level as its level', function() {
+    secondary.level = 20;
+    assert.equal(pool.level, 20);
+  });
+
+  it('should apply its level to every member when it is set', function() {
+    primary.level = 40;
+    pool.setLevel('debug');
+    pool.write({ level: 20, msg: 'foo' });
+    assert.equal(pool.level, 20);
+    pool.setLevel(null);
+    pool.write({ level: 30, msg: 'bar' });
+    assert.equal(pool.level, 30);
+    sinon.assert.calledOnce(primary.stream.write);
+  });
+
+  it('should write strings to members that are not raw', function() {
+    primary.raw = false;
+    pool.write({ level: 30, msg: 'foo' });
+    assert.equal(primary.stream.write.getCall(0).args[0], '{"level":30,"msg":"foo"}\n');
+  });
+
+  it('should failover and replay failed records when the primary fails', function() {
+    const err = new Error('failed');
+    err.records = [{ level: 30, msg: 'lost' }];
+    primary.stream.emit('error', err);
+
+    sinon.assert.calledWith(secondary.stream.write, err.records[0]);
+
+    pool.write({ level: 30, msg: 'foo' });
+    sinon.assert.calledWithMatch(secondary.stream.write, { msg: 'foo' });
+    sinon.assert.notCalled(primary.stream.write);
+  });
+
+  it('should not replay records when the last member fails', function() {
+    primary.stream.emit('error', new Error('failed'));
+    const err = new Error('failed');
+    err.records = [{ level: 30, msg: 'lost' }];
+    secondary.stream.emit('error', err);
+
+    sinon.assert.notCalled(primary.stream.write);
+    sinon.assert.notCalled(secondary.stream.write);
+  });
+
+  it('should flush every member', function(done) {
+    [primary, secondary].forEach((member) => {
+      member.stream.buffer = { length: 10 };
+      member.stream.recordsQueue = [{ level: 30, msg: member.name }];
+      member.stream.dispatch = sinon.spy((records, callback) => callback());
+    });
+    pool.flush(function(err) {
+      assert.ifError(err);
+      sinon.assert.calledOnce(primary.stream.dispatch);
+      sinon.assert.calledOnce(secondary.stream.dispatch);
+      done();
+    });
+  });
+
+  it('should recover back to the primary after the recovery interval', function() {
+    primary.stream.emit('error', new Error('failed'));
+    clock.tick(1000);
+
+    pool.write({ level: 30, msg: 'foo' });
+    sinon.assert.calledOnce(primary.stream.write);
+    sinon.assert.notCalled(secondary.stream.write);
+  });
+});
+
+describe('KINESIS_POOL', function() {
+  it('should inherit undefined keys from the root configuration', function() {
+    const config = resolveEntry({
+      LOG_TO_KINESIS: 'root-stream',
+      AWS_ACCESS_KEY_ID: 'root-key',
+      AWS_KINESIS_REGION: 'us-west-1'
+    }, {
+      LOG_TO_KINESIS: 'pool-stream',
+      AWS_ACCESS_KEY_ID: undefined,
+      AWS_REGION: 'eu-west-1'
+    });
+
+    assert.equal(config.LOG_TO_KINESIS, 'pool-stream');
+    assert.equal(config.AWS_ACCESS_KEY_ID, 'root-key');
+    assert.equal(config.AWS_KINESIS_REGION, 'eu-west-1');
+  });
+
+  it('should put the primary stream first', function() {
+    const streams = [];
+    const create = $require('../lib/kinesis_pool', {
+      'aws-kinesis-writable': class extends EventEmitter {
+        constructor(options) {
+          super();
+          streams.push(options.streamName);
+        }
+      }
+    });
+
+    const bunyanStream = create({
+      LOG_TO_KINESIS_LEVEL: 'warn',
+      KINESIS_POOL: [
+        { LOG_TO_KINESIS: 'secondary', LOG_TO_KINESIS_LEVEL: 'info' },
+        { LOG_TO_KINESIS: 'primary', IS_PRIMARY: true }
+      ]
+    });
+
+    assert.deepEqual(streams, ['primary', 'secondary']);
+    assert.equal(bunyanStream.type, 'raw');
+    assert.equal(bunyanStream.level, 30);
+    assert.equal(bunyanStream.stream.members[0].level, 40);
+  });
+});
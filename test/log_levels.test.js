@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+const bunyan = require('bunyan');
+const sinon = require('sinon');
+
+const logLevels = require('../lib/log_levels');
+
+describe('log levels', function() {
+  var levels;
+  var streams;
+  beforeEach(function() {
+    streams = [
+      { name: 'console', level: bunyan.INFO },
+      { name: 'sentry', level: bunyan.ERROR },
+      { level: bunyan.WARN }
+    ];
+    levels = logLevels(streams);
+  });
+
+  it('should return the level of the named streams', function() {
+    assert.deepEqual(levels.get(), { console: 'info', sentry: 'error' });
+    assert.equal(levels.minLevel, Infinity);
+  });
+
+  it('should apply the changes to the streams of a logger', function() {
+    levels.set('console', 'debug');
+    const loggerStreams = streams.map((s) => Object.assign({}, s));
+    levels.sync(loggerStreams);
+
+    assert.deepEqual(levels.get(), { console: 'debug', sentry: 'error' });
+    assert.equal(levels.minLevel, bunyan.DEBUG);
+    assert.deepEqual(loggerStreams.map((s) => s.level), [bunyan.DEBUG, bunyan.ERROR, bunyan.WARN]);
+
+    levels.reset('console');
+    levels.sync(loggerStreams);
+    assert.equal(levels.minLevel, Infinity);
+    assert.deepEqual(loggerStreams.map((s) => s.level), [bunyan.INFO, bunyan.ERROR, bunyan.WARN]);
+  });
+
+  it('should reset every stream', function() {
+    levels.set('console', 'trace');
+    levels.set('sentry', 'fatal');
+    levels.reset();
+    assert.deepEqual(levels.get(), { console: 'info', sentry: 'error' });
+  });
+
+  it('should fail on unknown streams', function() {
+    assert.throws(() => levels.set('kinesis', 'debug'), /no stream with name "kinesis"/);
+  });
+
+  describe('with a timeout', function() {
+    var clock;
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should restore the configured level', function() {
+      levels.set('console', 'debug', 1000);
+      clock.tick(999);
+      assert.equal(levels.get().console, 'debug');
+      clock.tick(1);
+      assert.equal(levels.get().console, 'info');
+    });
+
+    it('should restart the timeout when the level changes again', function() {
+      levels.set('console', 'debug', 1000);
+      clock.tick(600);
+      levels.set('console', 'trace', 1000);
+      clock.tick(600);
+      assert.equal(levels.get().console, 'trace');
+      clock.tick(400);
+      assert.equal(levels.get().console, 'info');
+    });
+  });
+});
@@ -1,6 +1,9 @@
 'use strict';
 
 const assert = require('assert');
+const EventEmitter = require('events');
+const KinesisWritable = require('aws-kinesis-writable');
+const $require = require('proxyquire').noPreserveCache();
 const sentry = require('../lib/error_reporter')({}, {});
 const logger = require('../lib/logger')({ name: 'test' },
                                         { LOG_LEVEL: 'fatal',
@@ -106,6 +109,19 @@ describe('logger', function() {
       });
     });
 
+    it('should add trace and span id tags when the logger has a span', function() {
+      const span = { context: () => ({ traceIdStr: 'abc', spanIdStr: 'def' }) };
+      logger.child({ span: span }).error('test');
+      assert(sentry.captureMessage.calledOnce);
+      assert.deepStrictEqual(sentry.captureMessage.getCall(0).args[1].tags, {
+        region: 'test-region',
+        environment: 'test-env',
+        channel: 'test-channel',
+        trace_id: 'abc',
+        span_id: 'def'
+      });
+    });
+
     it('should add a log_type tag when the log entry does not have an error and has a log_type property', function() {
       logger.error({
         log_type: 'not really an error'
@@ -132,4 +148,107 @@ describe('logger', function() {
     assert.equal(captured.extra.channel, 'test-channel');
   });
 
+  it('should redact sensitive fields', function() {
+    const headers = { authorization: 'Bearer secret', host: 'example.com' };
+    logger.child({ req: { headers: headers } }).error({ password: 'secret' }, 'testing');
+    const captured = sentry.captureMessage.getCall(0).args[1];
+    assert.equal(captured.extra.password, '[REDACTED]');
+    assert.equal(captured.extra.req.headers.authorization, '[REDACTED]');
+    assert.equal(captured.extra.req.headers.host, 'example.com');
+    assert.equal(headers.authorization, 'Bearer secret');
+  });
+
+  describe('levels', function() {
+    afterEach(function() {
+      logger.resetLevel();
+    });
+
+    it('should return the level of the named streams', function() {
+      assert.deepStrictEqual(logger.getLevels(), { console: 'fatal', sentry: 'error' });
+    });
+
+    it('should change the level of a stream for every logger', function() {
+      const childLogger = logger.child({ child: 'child' });
+      logger.setLevel('sentry', 'warn');
+      childLogger.warn('testing');
+      logger.child({ child: 'other' }).warn('testing');
+      assert(sentry.captureMessage.calledTwice);
+
+      logger.resetLevel('sentry');
+      childLogger.warn('testing');
+      assert(sentry.captureMessage.calledTwice);
+    });
+
+    it('should fail on unknown streams', function() {
+      assert.throws(() => logger.setLevel('foo', 'debug'), /no stream with name "foo"/);
+    });
+
+    it('should be changed from child loggers', function() {
+      const childLogger = logger.child({ child: 'child' }).child({ child: 'nested' });
+      childLogger.setLevel('sentry', 'warn');
+      assert.equal(logger.getLevels().sentry, 'warn');
+      childLogger.resetLevel('sentry');
+      assert.equal(childLogger.getLevels().sentry, 'error');
+      assert.equal(typeof childLogger.flush, 'function');
+    });
+
+    it('should change the level of every member of a Kinesis pool', function() {
+      const written = [];
+      const kinesisPool = $require('../lib/kinesis_pool', {
+        'aws-kinesis-writable': class extends EventEmitter {
+          write(record) {
+            written.push(record);
+          }
+        }
+      });
+      const pooledLogger = $require('../lib/logger', { './kinesis_pool': kinesisPool })({ name: 'test' }, {
+        LOG_LEVEL: 'fatal',
+        LOG_TO_KINESIS_LOG_TYPE: 'raw',
+        KINESIS_POOL: [
+          { LOG_TO_KINESIS: 'primary', LOG_TO_KINESIS_LEVEL: 'warn' },
+          { LOG_TO_KINESIS: 'secondary', LOG_TO_KINESIS_LEVEL: 'info' }
+        ]
+      });
+
+      pooledLogger.info('before');
+      pooledLogger.setLevel('kinesis', 'debug');
+      pooledLogger.child({ child: 'child' }).debug('during');
+      pooledLogger.resetLevel('kinesis');
+      pooledLogger.info('after');
+
+      assert.deepEqual(written.map((record) => record.msg), ['during']);
+    });
+  });
+
+  describe('flush', function() {
+    it('should wait for the Kinesis records and the error reports', function(done) {
+      const sent = [];
+      const errorReporter = { isActive: true, flush: spy((callback) => setImmediate(callback)) };
+      const kinesisLogger = $require('../lib/logger', {
+        'aws-kinesis-writable': class extends KinesisWritable {
+          putRecords(records, callback) {
+            setTimeout(() => {
+              sent.push.apply(sent, records.map((record) => JSON.parse(record.Data).msg));
+              callback();
+            }, 20);
+          }
+        }
+      })({ name: 'test' }, {
+        LOG_LEVEL: 'fatal',
+        LOG_TO_KINESIS: 'logs',
+        LOG_TO_KINESIS_LEVEL: 'info',
+        AWS_REGION: 'us-east-1'
+      }, undefined, { errorReporter: errorReporter });
+
+      // warnings are sent right away, the other records are queued.
+      kinesisLogger.warn('in flight');
+      kinesisLogger.info('queued');
+      kinesisLogger.flush(function(err) {
+        assert.deepEqual(sent.sort(), ['in flight', 'queued']);
+        assert(errorReporter.flush.calledOnce);
+        done(err);
+      });
+    });
+  });
+
 });
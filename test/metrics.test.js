@@ -1,6 +1,9 @@
 var assert = require('assert');
 var sinon  = require('sinon');
 var $require = require('proxyquire').noPreserveCache();
+var express = require('express');
+var hapi16 = require('hapi16');
+var request = require('supertest');
 
 var metrics = require('../lib/metrics')({
   name: 'test'
@@ -164,6 +167,71 @@ describe('metrics', function() {
     });
   });
 
+  describe('tag cardinality', function() {
+    var metricsSpy;
+    beforeEach(function() {
+      metricsSpy = sinon.spy();
+      sinon.stub(console, 'warn');
+    });
+
+    afterEach(function() {
+      console.warn.restore();
+    });
+
+    const buildMetrics = (config) => $require('../lib/metrics', {
+      './metrics_factory': {
+        create: function(){
+          return { increment: metricsSpy };
+        }
+      }
+    })({
+      name: 'test'
+    }, Object.assign({ STATSD_HOST: 'http://localhost:8125' }, config));
+
+    it('should send the values past METRICS_TAG_CARDINALITY_LIMIT as other', function() {
+      const $metrics = buildMetrics({ METRICS_TAG_CARDINALITY_LIMIT: 1 });
+      $metrics.increment('logins', 1, { tenant: 'a' });
+      $metrics.increment('logins', 1, { tenant: 'b' });
+      $metrics.increment('logins', 1, { tenant: 'c' });
+      sinon.assert.calledWith(metricsSpy, 'logins', 1, ['tenant:a']);
+      sinon.assert.calledWith(metricsSpy.thirdCall, 'logins', 1, ['tenant:other']);
+      sinon.assert.calledOnce(console.warn);
+    });
+
+    it('should warn once per metric and tag', function() {
+      const $metrics = buildMetrics({ METRICS_TAG_CARDINALITY_LIMIT: 1 });
+      ['a', 'b', 'c', 'd'].forEach((tenant) => {
+        $metrics.increment('logins', 1, { tenant: tenant });
+        $metrics.increment('logouts', 1, { tenant: tenant });
+      });
+      sinon.assert.calledTwice(console.warn);
+    });
+
+    it('should limit the values to 200 by default', function() {
+      const $metrics = buildMetrics({});
+      for (let i = 0; i <= 200; i++) {
+        $metrics.increment('logins', 1, { tenant: i });
+      }
+      sinon.assert.calledWith(metricsSpy.getCall(199), 'logins', 1, ['tenant:199']);
+      sinon.assert.calledWith(metricsSpy.getCall(200), 'logins', 1, ['tenant:other']);
+      sinon.assert.calledOnce(console.warn);
+    });
+
+    it('should not limit the values when METRICS_TAG_CARDINALITY_LIMIT is 0', function() {
+      const $metrics = buildMetrics({ METRICS_TAG_CARDINALITY_LIMIT: '0' });
+      ['a', 'b', 'c'].forEach((tenant) => $metrics.increment('logins', 1, { tenant: tenant }));
+      sinon.assert.calledWith(metricsSpy.thirdCall, 'logins', 1, ['tenant:c']);
+      sinon.assert.notCalled(console.warn);
+    });
+
+    it('should not limit the default tags', function() {
+      const $metrics = buildMetrics({ METRICS_TAG_CARDINALITY_LIMIT: 1, SERVICE_NAME: 'api' });
+      $metrics.increment('logins', 1, { tenant: 'a' });
+      $metrics.increment('logins', 1, { tenant: 'b' });
+      sinon.assert.calledWith(metricsSpy.secondCall, 'logins', 1, ['service_name:api', 'tenant:other']);
+    });
+  });
+
   describe('flush', function() {
     var $metrics;
     var metricsSpy;
@@ -221,4 +289,507 @@ describe('metrics', function() {
       });
     });
   });
+
+  describe('time', function() {
+    var $metrics;
+    var client;
+    var clock;
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+      client = {
+        increment: sinon.spy(),
+        histogram: sinon.spy(),
+        close: sinon.spy()
+      };
+      $metrics = $require('../lib/metrics', {
+        './metrics_factory': {
+          create: function(){
+            return client;
+          }
+        }
+      })({
+        name: 'test'
+      }, {
+        STATSD_HOST: 'http://localhost:8125',
+        METRICS_TIMER_TTL: 1000
+      });
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should send the duration when the handle is ended', function() {
+      const timer = $metrics.time('job', ['kind:a']);
+      clock.tick(25);
+      assert.equal(timer.end(['result:ok']), 25);
+      sinon.assert.calledWithMatch(client.increment, 'job.started', 1, ['kind:a']);
+      sinon.assert.calledWithMatch(client.increment, 'job.ended', 1, ['result:ok']);
+      sinon.assert.calledWithMatch(client.histogram, 'job.time', 25, ['result:ok']);
+      assert.deepEqual($metrics.trackIds, {});
+    });
+
+    it('should end the timers by handle or id with endTime', function() {
+      const timer = $metrics.time('job');
+      const id = String($metrics.time('job'));
+      clock.tick(10);
+      assert.equal($metrics.endTime(timer), 10);
+      assert.equal($metrics.endTime(id), 10);
+      assert.equal($metrics.endTime(timer), undefined);
+      sinon.assert.calledTwice(client.histogram);
+    });
+
+    it('should expire the timers that are not ended', function() {
+      const timer = $metrics.time('job', ['kind:a']);
+      clock.tick(999);
+      const ended = $metrics.time('job');
+      ended.end();
+      clock.tick(1000);
+
+      sinon.assert.calledWithMatch(client.increment, 'job.expired', 1, ['kind:a']);
+      assert.deepEqual($metrics.trackIds, {});
+      assert.equal(timer.end(), undefined);
+      sinon.assert.calledOnce(client.histogram);
+    });
+  });
+
+  describe('close', function() {
+    var $metrics;
+    var client;
+
+    const buildMetrics = (config) => {
+      client = {
+        flush: sinon.spy((onSuccess) => onSuccess()),
+        close: sinon.spy((callback) => callback())
+      };
+      $metrics = $require('../lib/metrics', {
+        './metrics_factory': {
+          create: function(){
+            return client;
+          }
+        }
+      })({
+        name: 'test'
+      }, config);
+    };
+
+    it('should flush DataDog metrics', function(done) {
+      buildMetrics({ METRICS_API_KEY: 'datadogkey' });
+      $metrics.close(function(err) {
+        assert.ifError(err);
+        sinon.assert.calledOnce(client.flush);
+        sinon.assert.notCalled(client.close);
+        done();
+      });
+    });
+
+    it('should report DataDog flush errors', function(done) {
+      buildMetrics({ METRICS_API_KEY: 'datadogkey' });
+      client.flush = (onSuccess, onError) => onError(new Error('failed'));
+      $metrics.close(function(err) {
+        assert.equal(err.message, 'failed');
+        done();
+      });
+    });
+
+    it('should close the StatsD socket', function(done) {
+      buildMetrics({ STATSD_HOST: 'http://localhost:8125' });
+      $metrics.close(function(err) {
+        assert.ifError(err);
+        sinon.assert.calledOnce(client.close);
+        done();
+      });
+    });
+  });
+
+  describe('with the StatsD backend', function() {
+    it('should ignore the metrics and the calls to close after close', function(done) {
+      const $metrics = require('../lib/metrics')({ name: 'test' }, { STATSD_HOST: 'udp://127.0.0.1:8125' });
+      $metrics.close(function(err) {
+        assert.ifError(err);
+        assert.doesNotThrow(function() {
+          $metrics.increment('requests');
+          $metrics.gauge('size', 3);
+        });
+        $metrics.close(done);
+      });
+    });
+  });
+
+  describe('with the Prometheus backend', function() {
+    var $metrics;
+    beforeEach(function() {
+      $metrics = require('../lib/metrics')({ name: 'test' }, { METRICS_PROMETHEUS: true });
+    });
+
+    it('should observe bucketed values in a histogram', function() {
+      const app = require('express')();
+      app.get('/metrics', $metrics.handler.express);
+      $metrics.observeBucketed('duration', 34, [20, 50], ['tag1:a']);
+
+      return require('supertest')(app)
+        .get('/metrics')
+        .expect(200)
+        .expect(function(res) {
+          assert.equal(res.text, [
+            '# TYPE test_duration histogram',
+            'test_duration_bucket{tag1="a",le="20"} 0',
+            'test_duration_bucket{tag1="a",le="50"} 1',
+            'test_duration_bucket{tag1="a",le="+Inf"} 1',
+            'test_duration_sum{tag1="a"} 34',
+            'test_duration_count{tag1="a"} 1',
+            ''
+          ].join('\n'));
+        });
+    });
+
+    it('should close without errors', function(done) {
+      $metrics.close(done);
+    });
+  });
+
+  describe('sample rates', function() {
+    var $metrics;
+    var clients;
+    beforeEach(function() {
+      sinon.stub(Math, 'random');
+      clients = {
+        statsd: { increment: sinon.spy(), histogram: sinon.spy() },
+        datadog: { increment: sinon.spy(), histogram: sinon.spy() }
+      };
+      $metrics = $require('../lib/metrics', {
+        './metrics_factory': {
+          create: (pkg, env, backend) => clients[backend]
+        }
+      })({
+        name: 'test'
+      }, {
+        METRICS_BACKENDS: 'statsd,datadog',
+        STATSD_HOST: 'http://localhost:8125',
+        METRICS_API_KEY: 'datadogkey'
+      });
+    });
+
+    afterEach(function() {
+      Math.random.restore();
+    });
+
+    it('should send the sampled values with their rate', function() {
+      Math.random.returns(0.2);
+      $metrics.increment('logins', 1, ['tag1:a'], 0.25);
+      $metrics.histogram('duration', 10, ['tag1:a'], 0.25);
+      sinon.assert.calledWith(clients.statsd.increment, 'logins', 1, 0.25, ['tag1:a']);
+      sinon.assert.calledWith(clients.statsd.histogram, 'duration', 10, 0.25, ['tag1:a']);
+      // the backends without sample rates get the estimated count.
+      sinon.assert.calledWith(clients.datadog.increment, 'logins', 4, ['tag1:a']);
+      sinon.assert.calledWith(clients.datadog.histogram, 'duration', 10, ['tag1:a']);
+    });
+
+    it('should drop the values that are not sampled', function(done) {
+      Math.random.returns(0.3);
+      $metrics.increment('logins', 1, [], 0.25, function() {
+        sinon.assert.notCalled(clients.statsd.increment);
+        sinon.assert.notCalled(clients.datadog.increment);
+        done();
+      });
+    });
+
+    it('should accept a callback without a sample rate', function() {
+      const callback = sinon.spy();
+      $metrics.increment('logins', 1, [], callback);
+      $metrics.histogram('duration', 10, [], callback);
+      sinon.assert.calledWith(clients.statsd.increment, 'logins', 1, [], callback);
+      sinon.assert.calledWith(clients.statsd.histogram, 'duration', 10, [], callback);
+      sinon.assert.notCalled(Math.random);
+    });
+  });
+
+  describe('DogStatsD extensions', function() {
+    var $metrics;
+    var client;
+    beforeEach(function() {
+      client = {
+        distribution: sinon.spy(),
+        set: sinon.spy(),
+        event: sinon.spy(),
+        serviceCheck: sinon.spy((name, status, options, tags, callback) => callback())
+      };
+      $metrics = $require('../lib/metrics', {
+        './metrics_factory': {
+          create: function(){
+            return client;
+          }
+        }
+      })({
+        name: 'test'
+      }, {
+        STATSD_HOST: 'http://localhost:8125',
+        SERVICE_NAME: 'api'
+      });
+    });
+
+    it('should send distributions and sets', function() {
+      $metrics.distribution('latency', 12, { route: '/login' });
+      $metrics.set('users', 'u1');
+      sinon.assert.calledWith(client.distribution, 'latency', 12, ['service_name:api', 'route:/login']);
+      sinon.assert.calledWith(client.set, 'users', 'u1', ['service_name:api']);
+    });
+
+    it('should send events', function() {
+      $metrics.event('Deploy', 'done', { alertType: 'success' }, ['version:1']);
+      sinon.assert.calledWith(client.event, 'Deploy', 'done', { alertType: 'success' }, ['service_name:api', 'version:1']);
+    });
+
+    it('should accept the name of the service check status', function(done) {
+      $metrics.serviceCheck('db', 'critical', null, [], function() {
+        sinon.assert.calledWith(client.serviceCheck, 'db', $metrics.SERVICE_CHECK.CRITICAL, {});
+        $metrics.serviceCheck('db', $metrics.SERVICE_CHECK.OK, null, [], function() {
+          sinon.assert.calledWith(client.serviceCheck.secondCall, 'db', 0);
+          done();
+        });
+      });
+    });
+
+    it('should call back when the backend does not support them', function(done) {
+      const prometheus = require('../lib/metrics')({ name: 'test' }, { METRICS_PROMETHEUS: true });
+      prometheus.event('Deploy', 'done', {}, [], done);
+    });
+  });
+
+  describe('startResourceCollection', function() {
+    var $metrics;
+    var collection;
+    afterEach(function() {
+      if (collection) {
+        collection.stop();
+      }
+    });
+
+    it('should not collect without COLLECT_RESOURCE_USAGE', function() {
+      $metrics = require('../lib/metrics')({ name: 'test' }, { METRICS_PROMETHEUS: true });
+      collection = $metrics.startResourceCollection();
+      assert.equal(collection.isRunning(), false);
+    });
+
+    it('should return the running collection', function() {
+      $metrics = require('../lib/metrics')({ name: 'test' }, { METRICS_PROMETHEUS: true, COLLECT_RESOURCE_USAGE: true });
+      collection = $metrics.startResourceCollection({ region: 'us' });
+      assert.ok(collection.isRunning());
+      assert.strictEqual($metrics.startResourceCollection(), collection);
+
+      collection.stop();
+      const other = $metrics.startResourceCollection();
+      assert.notStrictEqual(other, collection);
+      collection = other;
+    });
+
+    it('should stop the collection on close', function(done) {
+      $metrics = require('../lib/metrics')({ name: 'test' }, { METRICS_PROMETHEUS: true, COLLECT_RESOURCE_USAGE: true });
+      collection = $metrics.startResourceCollection();
+      $metrics.close(function(err) {
+        assert.equal(collection.isRunning(), false);
+        done(err);
+      });
+    });
+  });
+
+  describe('with several backends', function() {
+    var $metrics;
+    var clients;
+    var createSpy;
+    beforeEach(function() {
+      clients = {
+        statsd: { increment: sinon.spy(), histogram: sinon.spy(), close: sinon.spy((callback) => callback()) },
+        datadog: {
+          increment: sinon.spy(),
+          histogram: sinon.spy(),
+          flush: sinon.spy((onSuccess) => onSuccess && onSuccess())
+        }
+      };
+      createSpy = sinon.spy((pkg, env, backend) => clients[backend]);
+      $metrics = $require('../lib/metrics', {
+        './metrics_factory': {
+          create: createSpy
+        }
+      })({
+        name: 'test'
+      }, {
+        METRICS_BACKENDS: 'statsd,datadog',
+        STATSD_HOST: 'http://localhost:8125',
+        METRICS_API_KEY: 'datadogkey'
+      });
+    });
+
+    it('should send the metrics to every backend', function() {
+      const callback = sinon.spy();
+      $metrics.increment('logins', 2, ['tag1:a'], callback);
+      $metrics.histogram('duration', 10);
+      sinon.assert.calledWith(clients.statsd.increment, 'logins', 2, ['tag1:a'], callback);
+      sinon.assert.calledWith(clients.datadog.increment, 'logins', 2, ['tag1:a']);
+      sinon.assert.neverCalledWith(clients.datadog.increment, 'logins', 2, ['tag1:a'], callback);
+      sinon.assert.calledWith(clients.statsd.histogram, 'duration', 10);
+      sinon.assert.calledWith(clients.datadog.histogram, 'duration', 10);
+    });
+
+    it('should flush the backends that buffer the metrics', function() {
+      $metrics.flush();
+      sinon.assert.calledOnce(clients.datadog.flush);
+    });
+
+    it('should close every backend', function(done) {
+      $metrics.close(function(err) {
+        sinon.assert.calledOnce(clients.statsd.close);
+        sinon.assert.calledOnce(clients.datadog.flush);
+        done(err);
+      });
+    });
+
+    it('should report the close errors', function(done) {
+      clients.datadog.flush = sinon.spy((onSuccess, onError) => onError(new Error('flush failed')));
+      $metrics.close(function(err) {
+        assert.equal(err.message, 'flush failed');
+        sinon.assert.calledOnce(clients.statsd.close);
+        done();
+      });
+    });
+
+    it('should fail on unknown backends', function() {
+      assert.throws(() => {
+        require('../lib/metrics')({ name: 'test' }, { METRICS_BACKENDS: 'statsd,graphite' });
+      }, /unknown metrics backend "graphite"/);
+    });
+  });
+
+  describe('metrics factory', function() {
+    const metricsFactory = require('../lib/metrics_factory');
+
+    it('should use the first configured backend by default', function() {
+      assert.deepEqual(metricsFactory.backends({ METRICS_API_KEY: 'key', METRICS_PROMETHEUS: true }), ['datadog']);
+      assert.deepEqual(metricsFactory.backends({}), []);
+    });
+
+    it('should use the backends of METRICS_BACKENDS', function() {
+      assert.deepEqual(metricsFactory.backends({ METRICS_BACKENDS: 'datadog, prometheus', STATSD_HOST: 'http://localhost:8125' }), ['datadog', 'prometheus']);
+    });
+
+    it('should use the prefix of each backend', function() {
+      const env = { METRICS_PREFIX: 'app.', METRICS_PROMETHEUS_PREFIX: 'svc.' };
+      assert.equal(metricsFactory.create({ name: 'test' }, env, 'prometheus').prefix, 'svc.');
+    });
+
+    it('should fail on a StatsD backend without a valid STATSD_HOST', function() {
+      assert.throws(() => {
+        metricsFactory.create({ name: 'test' }, { METRICS_BACKENDS: 'statsd' }, 'statsd');
+      }, /invalid STATSD_HOST "" for the statsd metrics backend/);
+      assert.throws(() => {
+        metricsFactory.create({ name: 'test' }, { STATSD_HOST: 'localhost' }, 'statsd');
+      }, /invalid STATSD_HOST "localhost"/);
+    });
+
+    it('should send to the default StatsD port when STATSD_HOST has none', function() {
+      const client = metricsFactory.create({ name: 'test' }, { STATSD_HOST: 'udp://statsd' }, 'statsd');
+      assert.equal(client.host, 'statsd');
+      assert.equal(client.port, 8125);
+      client.close();
+    });
+  });
+
+  describe('middleware', function() {
+    var agent;
+    beforeEach(function() {
+      agent = require('../lib/stubs').createTestAgent();
+    });
+
+    describe('express', function() {
+      var app;
+      beforeEach(function() {
+        app = express();
+        app.use(agent.metrics.middleware.express);
+        app.get('/users/:id', function(req, res) {
+          res.send('ok');
+        });
+        app.get('/failure', function(req, res) {
+          res.status(503).send('unavailable');
+        });
+      });
+
+      it('should count the requests and observe their duration', function() {
+        return request(app)
+          .get('/users/1')
+          .expect(200)
+          .then(function() {
+            const tags = ['route:/users/:id', 'method:GET', 'status_class:2xx'];
+            assert.equal(agent.getMetrics({ type: 'increment', name: 'http.server.requests', tags: tags }).length, 1);
+            assert.equal(agent.getMetrics({ type: 'histogram', name: 'http.server.duration', tags: tags }).length, 1);
+            assert.equal(agent.getMetrics({ name: 'http.server.errors' }).length, 0);
+          });
+      });
+
+      it('should count the server errors', function() {
+        return request(app)
+          .get('/failure')
+          .expect(503)
+          .then(function() {
+            const tags = ['route:/failure', 'status_class:5xx'];
+            assert.equal(agent.getMetrics({ type: 'increment', name: 'http.server.errors', tags: tags }).length, 1);
+          });
+      });
+
+      it('should not tag the requests by url when no route matches', function() {
+        return request(app)
+          .get('/missing/1')
+          .expect(404)
+          .then(function() {
+            const tags = ['route:unmatched', 'status_class:4xx'];
+            assert.equal(agent.getMetrics({ name: 'http.server.requests', tags: tags }).length, 1);
+          });
+      });
+    });
+
+    describe('hapi16', function() {
+      var server;
+      beforeEach(function(done) {
+        server = new hapi16.Server();
+        server.connection();
+        server.route({
+          method: 'GET',
+          path: '/users/{id}',
+          handler: (req, reply) => reply('ok')
+        });
+        server.route({
+          method: 'GET',
+          path: '/error',
+          handler: (req, reply) => reply(new Error('failure'))
+        });
+        server.register(agent.metrics.middleware.hapi16, done);
+      });
+
+      it('should count the requests and observe their duration', function() {
+        return server.inject({ method: 'GET', url: '/users/1' })
+          .then(function(res) {
+            assert.equal(res.statusCode, 200);
+            const tags = ['route:/users/{id}', 'method:GET', 'status_class:2xx'];
+            assert.equal(agent.getMetrics({ type: 'increment', name: 'http.server.requests', tags: tags }).length, 1);
+            assert.equal(agent.getMetrics({ type: 'histogram', name: 'http.server.duration', tags: tags }).length, 1);
+          });
+      });
+
+      it('should count the server errors', function() {
+        return server.inject({ method: 'GET', url: '/error' })
+          .then(function(res) {
+            assert.equal(res.statusCode, 500);
+            const tags = ['route:/error', 'status_class:5xx'];
+            assert.equal(agent.getMetrics({ type: 'increment', name: 'http.server.errors', tags: tags }).length, 1);
+          });
+      });
+
+      it('should not tag the requests by url when no route matches', function() {
+        return server.inject({ method: 'GET', url: '/missing/1' })
+          .then(function(res) {
+            assert.equal(res.statusCode, 404);
+            assert.equal(agent.getMetrics({ name: 'http.server.requests', tags: ['route:unmatched'] }).length, 1);
+          });
+      });
+    });
+  });
 });
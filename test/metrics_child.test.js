@@ -0,0 +1,107 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const $require = require('proxyquire').noPreserveCache();
+
+const createTestAgent = require('../lib/stubs').createTestAgent;
+
+describe('child metrics', function() {
+  var agent;
+  var child;
+  beforeEach(function() {
+    agent = createTestAgent();
+    agent.metrics.setDefaultTags({ service_name: 'api' });
+    child = agent.metrics.child({ prefix: 'mylib', tags: { component: 'cache' } });
+  });
+
+  it('should prefix the names and add the tags of the child', function() {
+    child.increment('hits', 2, { result: 'ok' });
+    child.gauge('size', 10);
+    child.histogram('duration', 5, ['op:get']);
+
+    assert.deepEqual(agent.getMetrics().map((m) => [m.type, m.name, m.value, m.tags]), [
+      ['increment', 'mylib.hits', 2, ['service_name:api', 'component:cache', 'result:ok']],
+      ['gauge', 'mylib.size', 10, ['service_name:api', 'component:cache']],
+      ['histogram', 'mylib.duration', 5, ['service_name:api', 'component:cache', 'op:get']]
+    ]);
+  });
+
+  it('should replace the tags of the child with the ones of the call', function() {
+    child.incrementOne('hits', { component: 'store' });
+    assert.deepEqual(agent.getMetrics()[0].tags, ['service_name:api', 'component:store']);
+  });
+
+  it('should not change the default tags of the parent', function() {
+    child.setDefaultTags({ component: 'store' });
+    agent.metrics.increment('requests');
+    child.increment('hits');
+    assert.deepEqual(agent.getMetrics({ name: 'requests' })[0].tags, ['service_name:api']);
+    assert.deepEqual(agent.getMetrics({ name: 'mylib.hits' })[0].tags, ['service_name:api', 'component:store']);
+  });
+
+  it('should nest the prefixes and the tags', function() {
+    child.child({ prefix: 'lru.', tags: ['tier:l1'] }).increment('evictions');
+    const metric = agent.getMetrics()[0];
+    assert.equal(metric.name, 'mylib.lru.evictions');
+    assert.deepEqual(metric.tags, ['service_name:api', 'component:cache', 'tier:l1']);
+  });
+
+  it('should time with the prefix and the tags of the child', function() {
+    const timer = child.time('load');
+    assert.ok(timer.end({ result: 'ok' }) >= 0);
+    assert.equal(agent.getMetrics({ name: 'mylib.load.started', tags: ['component:cache'] }).length, 1);
+    assert.equal(agent.getMetrics({ name: 'mylib.load.time', tags: ['component:cache', 'result:ok'] }).length, 1);
+    assert.deepEqual(agent.metrics.trackIds, {});
+
+    const id = String(child.time('load'));
+    assert.ok(child.endTime(id) >= 0);
+    assert.deepEqual(agent.metrics.trackIds, {});
+  });
+
+  it('should prefix the service checks but not the events', function() {
+    child.serviceCheck('connection', 'ok');
+    child.event('Cache cleared', 'all entries');
+    assert.equal(agent.getMetrics({ type: 'serviceCheck' })[0].name, 'mylib.connection');
+    assert.equal(agent.getMetrics({ type: 'event' })[0].name, 'Cache cleared');
+    assert.deepEqual(agent.getMetrics({ type: 'event' })[0].tags, ['service_name:api', 'component:cache']);
+  });
+
+  describe('of the metrics client', function() {
+    var client;
+    var metrics;
+    beforeEach(function() {
+      client = {
+        increment: sinon.spy(),
+        histogram: sinon.spy(),
+        close: sinon.spy((callback) => callback())
+      };
+      metrics = $require('../lib/metrics', {
+        './metrics_factory': {
+          create: () => client
+        }
+      })({ name: 'test' }, { STATSD_HOST: 'udp://localhost:8125' });
+      metrics.setDefaultTags({ service_name: 'api' });
+      child = metrics.child({ prefix: 'mylib', tags: { component: 'cache' } });
+    });
+
+    it('should send the metrics to the backend with the prefix and the tags of the child', function() {
+      child.increment('hits', 2, { result: 'ok' });
+      sinon.assert.calledWithMatch(client.increment, 'mylib.hits', 2,
+        ['service_name:api', 'component:cache', 'result:ok']);
+    });
+
+    it('should share the middleware, the handler and the timers of the parent', function() {
+      assert.strictEqual(child.middleware, metrics.middleware);
+      assert.strictEqual(child.handler, metrics.handler);
+      assert.strictEqual(child.trackIds, metrics.trackIds);
+      assert.equal(typeof child.startResourceCollection().stop, 'function');
+    });
+
+    it('should close the backend of the parent', function(done) {
+      child.close((err) => {
+        assert.ifError(err);
+        sinon.assert.calledOnce(client.close);
+        done();
+      });
+    });
+  });
+});
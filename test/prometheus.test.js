@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+const PrometheusClient = require('../lib/prometheus');
+
+describe('prometheus', function() {
+  var client;
+  beforeEach(function() {
+    client = new PrometheusClient({ prefix: 'test.', buckets: [10, 100] });
+  });
+
+  it('should expose counters and gauges', function() {
+    client.increment('requests', 1, ['status:200', 'method:get']);
+    client.increment('requests', 2, ['status:200', 'method:get']);
+    client.increment('requests', undefined, ['status:500', 'method:get']);
+    client.gauge('queue.size', 3, []);
+    client.gauge('queue.size', 5, []);
+
+    assert.equal(client.metrics(), [
+      '# TYPE test_requests counter',
+      'test_requests{status="200",method="get"} 3',
+      'test_requests{status="500",method="get"} 1',
+      '# TYPE test_queue_size gauge',
+      'test_queue_size 5',
+      ''
+    ].join('\n'));
+  });
+
+  it('should expose histograms', function() {
+    client.histogram('latency', 5, ['route:/']);
+    client.histogram('latency', 50, ['route:/']);
+    client.histogram('latency', 500, ['route:/']);
+
+    assert.equal(client.metrics(), [
+      '# TYPE test_latency histogram',
+      'test_latency_bucket{route="/",le="10"} 1',
+      'test_latency_bucket{route="/",le="100"} 2',
+      'test_latency_bucket{route="/",le="+Inf"} 3',
+      'test_latency_sum{route="/"} 555',
+      'test_latency_count{route="/"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should use the buckets of the first observation', function() {
+    client.observe('duration', 20, [50, 20], []);
+    client.observe('duration', 40, [10], []);
+
+    assert.ok(client.metrics().indexOf('test_duration_bucket{le="20"} 1\n') !== -1);
+    assert.ok(client.metrics().indexOf('test_duration_bucket{le="50"} 2\n') !== -1);
+    assert.equal(client.metrics().indexOf('le="10"'), -1);
+  });
+
+  it('should sanitize labels and escape their values', function() {
+    client.increment('foo', 1, ['my-tag:say "hi"\\n', 'flag']);
+    assert.ok(client.metrics().indexOf('test_foo{my_tag="say \\"hi\\"\\\\n",flag="true"} 1\n') !== -1);
+  });
+
+  it('should not change the type of a metric', function(done) {
+    client.increment('foo', 1, []);
+    client.gauge('foo', 1, [], function(err) {
+      assert.ok(err);
+      assert.ok(client.metrics().indexOf('# TYPE test_foo counter') !== -1);
+      done();
+    });
+  });
+
+  it('should serve the metrics from an express handler', function() {
+    const app = express();
+    app.get('/metrics', client.handler.express);
+    client.increment('requests', 1, []);
+
+    return request(app)
+      .get('/metrics')
+      .expect(200)
+      .expect('Content-Type', /^text\/plain; version=0.0.4/)
+      .expect('# TYPE test_requests counter\ntest_requests 1\n');
+  });
+
+  it('should serve the metrics from a standalone listener', function(done) {
+    client.increment('requests', 1, []);
+    const server = client.listen(0, '/custom');
+    server.on('listening', function() {
+      http.get(`http://localhost:${server.address().port}/custom`, function(res) {
+        var body = '';
+        res.on('data', function(chunk) { body += chunk; });
+        res.on('end', function() {
+          assert.equal(res.statusCode, 200);
+          assert.equal(body, '# TYPE test_requests counter\ntest_requests 1\n');
+          client.close(done);
+        });
+      });
+    });
+  });
+});
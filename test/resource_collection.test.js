@@ -0,0 +1,94 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const resourceCollection = require('../lib/resource_collection');
+
+describe('resource collection', function() {
+  var metrics;
+  var collection;
+  beforeEach(function() {
+    metrics = { gauge: sinon.spy(), histogram: sinon.spy() };
+  });
+
+  afterEach(function() {
+    collection.stop();
+  });
+
+  const names = () => metrics.gauge.getCalls().map((call) => call.args[0]);
+
+  it('should collect the resource usage periodically', function(done) {
+    collection = resourceCollection(metrics, { region: 'us' }, { interval: 10 }).start();
+    assert.ok(collection.isRunning());
+    setTimeout(function() {
+      assert.ok(names().indexOf('resources.memory.heapUsed') !== -1);
+      sinon.assert.calledWith(metrics.gauge, 'resources.memory.heapTotal', sinon.match.number, { region: 'us' });
+      done();
+    }, 35);
+  });
+
+  it('should measure the memory and the CPU of the process', function(done) {
+    collection = resourceCollection(metrics, {}, { interval: 10 }).start();
+    setTimeout(function() {
+      sinon.assert.calledWith(metrics.gauge, 'resources.memory.usage', sinon.match((rss) => rss > 0));
+      const cpu = metrics.gauge.getCalls().filter((call) => call.args[0] === 'resources.cpu.usage')[0];
+      assert.ok(cpu.args[1] >= 0);
+      done();
+    }, 35);
+  });
+
+  it('should stop collecting', function(done) {
+    collection = resourceCollection(metrics, {}, { interval: 10 }).start();
+    collection.stop();
+    assert.ok(!collection.isRunning());
+    setTimeout(function() {
+      sinon.assert.notCalled(metrics.gauge);
+      done();
+    }, 25);
+  });
+
+  it('should restart the collection', function(done) {
+    collection = resourceCollection(metrics, {}, { interval: 10 }).start().stop().start();
+    setTimeout(function() {
+      assert.ok(names().length > 0);
+      done();
+    }, 25);
+  });
+
+  it('should not start twice', function() {
+    const setInterval = sinon.spy(global, 'setInterval');
+    try {
+      collection = resourceCollection(metrics, {}, { interval: 10 }).start();
+      const count = setInterval.callCount;
+      collection.start();
+      assert.equal(setInterval.callCount, count);
+    } finally {
+      setInterval.restore();
+    }
+  });
+
+  it('should not keep the process running', function() {
+    // hasRef was added in node 11
+    if (typeof setTimeout(() => {}).hasRef !== 'function') { this.skip(); }
+    const setInterval = sinon.spy(global, 'setInterval');
+    try {
+      collection = resourceCollection(metrics, {}, { interval: 10 }).start();
+      setInterval.returnValues.forEach((timer) => assert.equal(timer.hasRef(), false));
+    } finally {
+      setInterval.restore();
+    }
+  });
+
+  it('should use the configured metric names', function(done) {
+    collection = resourceCollection(metrics, {}, {
+      interval: 10,
+      prefix: 'worker.',
+      names: { 'resources.memory.heapUsed': 'memory.used' }
+    }).start();
+    setTimeout(function() {
+      assert.ok(names().indexOf('worker.memory.used') !== -1);
+      assert.ok(names().indexOf('worker.resources.memory.heapTotal') !== -1);
+      assert.ok(names().every((name) => name.indexOf('worker.') === 0));
+      done();
+    }, 25);
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const $require = require('proxyquire').noPreserveCache();
+
+const runtimeMetrics = require('../lib/runtime_metrics');
+
+// monitorEventLoopDelay was added in node 11.10 and eventLoopUtilization in
+// node 14.10.
+let perfHooks = null;
+try {
+  perfHooks = require('perf_hooks');
+} catch (err) {
+  perfHooks = null;
+}
+const delaySupported = !!perfHooks && typeof perfHooks.monitorEventLoopDelay === 'function';
+const utilizationSupported = !!perfHooks && !!perfHooks.performance &&
+  typeof perfHooks.performance.eventLoopUtilization === 'function';
+
+describe('runtime metrics', function() {
+  var metrics;
+  var runtime;
+  beforeEach(function() {
+    metrics = { gauge: sinon.spy() };
+  });
+
+  afterEach(function() {
+    if (runtime) { runtime.stop(); }
+    runtime = null;
+  });
+
+  const gauges = (name) => metrics.gauge.getCalls().filter((call) => call.args[0] === name);
+
+  it('should send the event loop delay', function(done) {
+    if (!delaySupported) { this.skip(); }
+    runtime = runtimeMetrics(metrics);
+    setTimeout(function() {
+      runtime.collect({ region: 'us' });
+      ['event_loop.delay.p50', 'event_loop.delay.p99', 'event_loop.delay.max'].forEach((name) => {
+        const call = gauges(name)[0];
+        assert.ok(call, name);
+        assert.ok(call.args[1] >= 0 && call.args[1] < 1000, name);
+        assert.deepEqual(call.args[2], { region: 'us' });
+      });
+      done();
+    }, 50);
+  });
+
+  it('should send the event loop utilization', function(done) {
+    if (!utilizationSupported) { this.skip(); }
+    runtime = runtimeMetrics(metrics);
+    setTimeout(function() {
+      runtime.collect({ region: 'us' });
+      const utilization = gauges('event_loop.utilization')[0].args[1];
+      assert.ok(utilization >= 0 && utilization <= 1);
+      done();
+    }, 50);
+  });
+
+  it('should send the active handles and requests', function() {
+    runtime = runtimeMetrics(metrics);
+    runtime.collect();
+    assert.ok(gauges('resources.handles')[0].args[1] >= 0);
+    assert.ok(gauges('resources.requests')[0].args[1] >= 0);
+  });
+
+  it('should send the size of each heap space', function() {
+    runtime = runtimeMetrics(metrics);
+    runtime.collect({ region: 'us' });
+    const call = gauges('resources.memory.heapSpace.used')
+      .filter((call) => call.args[2].indexOf('heap_space:new_space') !== -1)[0];
+    assert.ok(call.args[1] > 0);
+    assert.deepEqual(call.args[2], ['region:us', 'heap_space:new_space']);
+    assert.ok(gauges('resources.memory.heapSpace.size').length > 0);
+  });
+
+  it('should skip the measures that are not supported', function() {
+    runtime = $require('../lib/runtime_metrics', { perf_hooks: null })(metrics);
+    runtime.collect();
+    assert.equal(gauges('event_loop.delay.p99').length, 0);
+    assert.equal(gauges('event_loop.utilization').length, 0);
+    assert.equal(gauges('resources.handles').length, 1);
+  });
+});
@@ -25,6 +25,10 @@ describe('stubs', function() {
       done();
     });
 
+    it('should run flush and call back', function(done) {
+      errorReporter.flush(done);
+    });
+
     it('should have a hapi plugin', function(done) {
       assert.doesNotThrow(function() {
         errorReporter.hapi.plugin.register.attributes;
@@ -39,6 +43,11 @@ describe('stubs', function() {
       done();
     });
 
+    it('should have a hapi v17 plugin with a name and a register function', function() {
+      assert.equal(errorReporter.hapi.pluginV17.name, 'auth0-instrumentation');
+      return errorReporter.hapi.pluginV17.register({}, {});
+    });
+
     it('should have an express plugin', function(done) {
       assert.doesNotThrow(function() {
         errorReporter.express.requestHandler;
@@ -81,6 +90,10 @@ describe('stubs', function() {
       done();
     });
 
+    it('should run close and call back', function(done) {
+      metrics.close(done);
+    });
+
     it('should run time without throwing', function(done) {
       assert.doesNotThrow(metrics.time, TypeError);
       done();
@@ -110,6 +123,11 @@ describe('stubs', function() {
       assert.doesNotThrow(metrics.observeBucketed, TypeError);
       done();
     });
+    it('should have request middleware that calls next', function(done) {
+      assert.equal(metrics.middleware.hapi16.attributes.name, 'a0metrics');
+      assert.equal(metrics.middleware.hapi17.name, 'a0metrics');
+      metrics.middleware.express({}, {}, done);
+    });
   });
 
   describe('logger', function() {
@@ -144,6 +162,10 @@ describe('stubs', function() {
       done();
     });
 
+    it('should run flush and call back', function(done) {
+      logger.flush(done);
+    });
+
   });
 
   describe('tracer', function() {
@@ -159,6 +181,10 @@ describe('stubs', function() {
       assert.doesNotThrow(tracer.extract, Error);
     });
 
+    it('should run close and call back', function(done) {
+      tracer.close(done);
+    });
+
     it('should get Tags without throwing', function() {
       assert.doesNotThrow(function() { return tracer.Tags.AUTH0_TENANT; }, Error);
     });
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const sinon = require('sinon');
+
+const tagCardinality = require('../lib/tag_cardinality');
+
+describe('tag cardinality', function() {
+  var onLimit;
+  var limitTags;
+  beforeEach(function() {
+    onLimit = sinon.spy();
+    limitTags = tagCardinality({ limit: 2, onLimit: onLimit });
+  });
+
+  it('should keep the values under the limit', function() {
+    assert.deepEqual(limitTags('requests', ['tenant:a', 'status:200']), ['tenant:a', 'status:200']);
+    assert.deepEqual(limitTags('requests', ['tenant:b']), ['tenant:b']);
+    assert.deepEqual(limitTags('requests', ['tenant:a']), ['tenant:a']);
+  });
+
+  it('should send the values past the limit as other', function() {
+    limitTags('requests', ['tenant:a']);
+    limitTags('requests', ['tenant:b']);
+    assert.deepEqual(limitTags('requests', ['tenant:c', 'status:200']), ['tenant:other', 'status:200']);
+    assert.deepEqual(limitTags('requests', ['tenant:b']), ['tenant:b']);
+  });
+
+  it('should warn once per metric and tag', function() {
+    ['a', 'b', 'c', 'd'].forEach((tenant) => limitTags('requests', [`tenant:${tenant}`]));
+    sinon.assert.calledOnce(onLimit);
+    sinon.assert.calledWith(onLimit, 'requests', 'tenant', 2);
+  });
+
+  it('should count the values of each metric separately', function() {
+    limitTags('requests', ['tenant:a']);
+    limitTags('requests', ['tenant:b']);
+    assert.deepEqual(limitTags('errors', ['tenant:c']), ['tenant:c']);
+  });
+
+  it('should limit the tags without a value together', function() {
+    assert.deepEqual(limitTags('requests', ['a', 'b', 'c', 'a']), ['a', 'b', 'other', 'a']);
+    sinon.assert.calledWith(onLimit, 'requests', '', 2);
+  });
+
+  it('should limit the values to 200 by default', function() {
+    limitTags = tagCardinality();
+    for (let i = 0; i < 200; i++) {
+      assert.deepEqual(limitTags('requests', [`tenant:${i}`]), [`tenant:${i}`]);
+    }
+    assert.deepEqual(limitTags('requests', ['tenant:200']), ['tenant:other']);
+  });
+
+  it('should be disabled with a limit of 0', function() {
+    limitTags = tagCardinality({ limit: 0 });
+    ['a', 'b', 'c'].forEach((tenant) => assert.deepEqual(limitTags('requests', [`tenant:${tenant}`]), [`tenant:${tenant}`]));
+  });
+});
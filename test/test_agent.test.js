@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+
+const createTestAgent = require('../lib/stubs').createTestAgent;
+
+describe('test agent', function() {
+  var agent;
+  beforeEach(function() {
+    agent = createTestAgent();
+  });
+
+  describe('logger', function() {
+    it('should record log calls', function() {
+      agent.logger.info({ log_type: 'foo' }, 'hello %s', 'world');
+      agent.logger.warn('winston style', { log_type: 'bar' });
+
+      assert.equal(agent.getLogs().length, 2);
+      const record = agent.getLogs({ level: 'info' })[0];
+      assert.equal(record.msg, 'hello world');
+      assert.equal(record.fields.log_type, 'foo');
+      assert.equal(agent.getLogs({ fields: { log_type: 'bar' } })[0].msg, 'winston style');
+    });
+
+    it('should include the fields of child loggers', function() {
+      agent.logger.child({ tenant: 'acme' }).error(new Error('failure'), 'failed');
+
+      const record = agent.getLogs({ level: 'error' })[0];
+      assert.equal(record.fields.tenant, 'acme');
+      assert.equal(record.err.message, 'failure');
+    });
+
+    it('should include the ids of the span of child loggers', function() {
+      const span = agent.tracer.startSpan('parent');
+      agent.logger.child({ span: span }).info('in span');
+
+      const record = agent.getLogs({ msg: 'in span' })[0];
+      assert.equal(record.fields.trace_id, span.context().traceId);
+      assert.equal(record.fields.span_id, span.context().spanId);
+    });
+
+    it('should record redacted log records', function() {
+      agent = createTestAgent({ REDACT_FIELDS: 'ticket' });
+      agent.logger.info({ body: { password: 'secret', ticket: 'abc' } }, 'login');
+
+      assert.deepEqual(agent.getLogs({ msg: 'login' })[0].fields.body, {
+        password: '[REDACTED]',
+        ticket: '[REDACTED]'
+      });
+    });
+
+    it('should report the error logs', function() {
+      agent.logger.error({ err: new Error('failure'), log_type: 'foo' }, 'failed');
+
+      assert.equal(agent.getErrors({ type: 'exception' })[0].err.message, 'failure');
+    });
+  });
+
+  describe('metrics', function() {
+    it('should record metrics with their tags', function() {
+      agent.metrics.setDefaultTags({ service_name: 'test' });
+      agent.metrics.gauge('queue.size', 3, { queue: 'jobs' });
+      agent.metrics.increment('requests', ['status:200']);
+      agent.metrics.histogram('latency', 25);
+      agent.metrics.observeBucketed('duration', 40, [10, 50]);
+
+      assert.equal(agent.getMetrics().length, 4);
+      assert.deepEqual(agent.getMetrics({ name: 'queue.size' })[0].tags, ['service_name:test', 'queue:jobs']);
+      assert.equal(agent.getMetrics({ type: 'increment', tags: ['status:200'] })[0].value, 1);
+      assert.equal(agent.getMetrics({ type: 'histogram' })[0].value, 25);
+      assert.deepEqual(agent.getMetrics({ type: 'observeBucketed' })[0].buckets, [10, 50]);
+    });
+
+    it('should record every sampled value with its sample rate', function() {
+      agent.metrics.increment('requests', 1, [], 0.1);
+      agent.metrics.histogram('latency', 25, [], 0.5);
+
+      assert.equal(agent.getMetrics({ type: 'increment', name: 'requests' })[0].sampleRate, 0.1);
+      assert.equal(agent.getMetrics({ type: 'histogram', name: 'latency' })[0].sampleRate, 0.5);
+    });
+
+    it('should record timers', function() {
+      const id = agent.metrics.time('job');
+      assert.ok(agent.metrics.endTime(id) >= 0);
+      assert.equal(agent.getMetrics({ name: 'job.time', type: 'histogram' }).length, 1);
+    });
+  });
+
+  describe('tracer', function() {
+    it('should record spans and their parents', function() {
+      const parent = agent.tracer.startSpan('parent');
+      agent.tracer.captureFunc('child', function(span) {
+        span.setTag('in_child', true);
+      }, parent);
+
+      const child = agent.getSpans({ name: 'child' })[0];
+      assert.ok(child.finished);
+      assert.equal(child.tags.in_child, true);
+      assert.equal(child.parent.name, 'parent');
+      assert.equal(child.traceId, child.parent.traceId);
+      assert.equal(agent.getSpans({ name: 'parent', finished: false }).length, 1);
+    });
+
+    it('should record request spans from the express middleware', function() {
+      const app = express();
+      app.use(agent.tracer.middleware.express);
+      app.get('/success', function(_req, res) {
+        res.send('ok');
+      });
+
+      return request(app)
+        .get('/success')
+        .set('x-test-trace-id', '10')
+        .set('x-test-span-id', '11')
+        .expect(200)
+        .expect(function() {
+          const span = agent.getSpans({ name: '/success', finished: true })[0];
+          assert.equal(span.traceId, '10');
+          assert.equal(span.parentId, '11');
+          assert.equal(span.tags[agent.tracer.Tags.HTTP_STATUS_CODE], 200);
+        });
+    });
+  });
+
+  describe('errorReporter', function() {
+    it('should record exceptions and messages', function() {
+      const err = new Error('failure');
+      agent.errorReporter.captureException(err, { tags: { log_type: 'foo' } });
+      agent.errorReporter.captureMessage('something happened');
+
+      assert.strictEqual(agent.getErrors({ type: 'exception', tags: { log_type: 'foo' } })[0].err, err);
+      assert.equal(agent.getErrors({ type: 'message' })[0].message, 'something happened');
+    });
+  });
+
+  it('should forget everything on reset', function() {
+    agent.logger.info('foo');
+    agent.metrics.increment('foo');
+    agent.tracer.startSpan('foo');
+    agent.errorReporter.captureMessage('foo');
+    agent.reset();
+
+    assert.equal(agent.getLogs().length, 0);
+    assert.equal(agent.getMetrics().length, 0);
+    assert.equal(agent.getSpans().length, 0);
+    assert.equal(agent.getErrors().length, 0);
+  });
+});
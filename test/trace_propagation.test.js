@@ -0,0 +1,164 @@
+'use strict';
+
+const assert = require('assert');
+const jaeger = require('jaeger-client');
+
+const tracePropagation = require('../lib/trace_propagation');
+const codecs = tracePropagation.codecs;
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+
+describe('trace propagation', function() {
+  describe('tracecontext codec', function() {
+    it('should extract a traceparent header', function() {
+      const context = codecs.tracecontext.extract({
+        traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+        tracestate: 'congo=t61rcWkgMzE'
+      });
+      assert.deepEqual(context, {
+        traceId: TRACE_ID,
+        spanId: SPAN_ID,
+        sampled: true,
+        traceState: 'congo=t61rcWkgMzE'
+      });
+    });
+
+    it('should ignore invalid traceparent headers', function() {
+      assert.equal(codecs.tracecontext.extract({ traceparent: 'foo' }), null);
+      assert.equal(codecs.tracecontext.extract({ traceparent: `ff-${TRACE_ID}-${SPAN_ID}-01` }), null);
+      assert.equal(codecs.tracecontext.extract({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-01-extra` }), null);
+      assert.equal(codecs.tracecontext.extract({ traceparent: `00-00000000000000000000000000000000-${SPAN_ID}-01` }), null);
+      assert.equal(codecs.tracecontext.extract({}), null);
+    });
+
+    it('should inject a traceparent header', function() {
+      const carrier = {};
+      codecs.tracecontext.inject({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: false }, carrier);
+      assert.deepEqual(carrier, { traceparent: `00-${TRACE_ID}-${SPAN_ID}-00` });
+    });
+  });
+
+  describe('jaeger codec', function() {
+    it('should extract uber-trace-id headers', function() {
+      const context = codecs.jaeger.extract({ 'uber-trace-id': '8448eb211c80319c%3Ab7ad6b7169203331%3A0%3A1' });
+      assert.equal(context.traceId, '00000000000000008448eb211c80319c');
+      assert.equal(context.spanId, SPAN_ID);
+      assert.equal(context.sampled, true);
+    });
+
+    it('should ignore malformed uber-trace-id headers', function() {
+      assert.equal(codecs.jaeger.extract({ 'uber-trace-id': '%E0%A4%A' }), null);
+    });
+
+    it('should inject the low 64 bits of the trace id', function() {
+      const carrier = {};
+      codecs.jaeger.inject({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: true }, carrier);
+      assert.equal(carrier['uber-trace-id'], `8448eb211c80319c:${SPAN_ID}:0:1`);
+    });
+  });
+
+  describe('lightstep codec', function() {
+    it('should extract ot-tracer headers', function() {
+      const context = codecs.lightstep.extract({
+        'ot-tracer-traceid': '8448eb211c80319c',
+        'ot-tracer-spanid': SPAN_ID,
+        'ot-tracer-sampled': 'false'
+      });
+      assert.equal(context.traceId, '00000000000000008448eb211c80319c');
+      assert.equal(context.sampled, false);
+    });
+  });
+
+  describe('configuration', function() {
+    it('should default to the tracer format', function() {
+      const propagation = tracePropagation({ TRACE_AGENT_CLIENT: 'jaeger' });
+      assert.deepEqual(propagation.formats, ['jaeger']);
+      assert.equal(propagation.enabled, false);
+    });
+
+    it('should accept a comma separated list', function() {
+      const propagation = tracePropagation({ TRACE_AGENT_CLIENT: 'jaeger', TRACE_PROPAGATION: 'tracecontext, jaeger, unknown' });
+      assert.deepEqual(propagation.formats, ['tracecontext', 'jaeger']);
+      assert.equal(propagation.enabled, true);
+    });
+
+    it('should not translate when the tracer format is unknown', function() {
+      const propagation = tracePropagation({ TRACE_PROPAGATION: ['tracecontext'] });
+      assert.equal(propagation.enabled, false);
+    });
+  });
+});
+
+describe('tracer with W3C trace context propagation', function() {
+  var $tracer;
+
+  function buildTracer(propagation) {
+    const impl = new jaeger.Tracer('test', new jaeger.InMemoryReporter(), new jaeger.ConstSampler(true));
+    return require('../lib/tracer')({}, {}, {
+      TRACE_AGENT_CLIENT: 'jaeger',
+      TRACE_PROPAGATION: propagation
+    }, { tracerImpl: impl });
+  }
+
+  beforeEach(function() {
+    $tracer = buildTracer('tracecontext,jaeger');
+  });
+
+  it('should inject every configured format', function() {
+    const span = $tracer.startSpan('foo');
+    const headers = {};
+    $tracer.inject(span, $tracer.FORMAT_HTTP_HEADERS, headers);
+
+    const spanId = span.context().spanIdStr;
+    assert.ok(headers['uber-trace-id']);
+    assert.ok(new RegExp(`^00-[0-9a-f]{32}-0*${spanId}-01$`).test(headers.traceparent));
+  });
+
+  it('should extract a context from traceparent headers', function() {
+    const context = $tracer.extract($tracer.FORMAT_HTTP_HEADERS, {
+      traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`
+    });
+    const span = $tracer.startSpan('child', { childOf: context });
+
+    assert.equal(span.context().traceIdStr, '8448eb211c80319c');
+    assert.equal(span.context().parentIdStr, SPAN_ID);
+  });
+
+  it('should extract jaeger headers during migrations', function() {
+    const context = $tracer.extract($tracer.FORMAT_HTTP_HEADERS, {
+      'uber-trace-id': `8448eb211c80319c:${SPAN_ID}:0:1`
+    });
+    const span = $tracer.startSpan('child', { childOf: context });
+
+    assert.equal(span.context().traceIdStr, '8448eb211c80319c');
+  });
+
+  it('should not fail on malformed jaeger headers', function() {
+    assert.doesNotThrow(function() {
+      $tracer.extract($tracer.FORMAT_HTTP_HEADERS, { 'uber-trace-id': '%E0%A4%A' });
+    });
+  });
+
+  it('should forward tracestate to child spans', function() {
+    const context = $tracer.extract($tracer.FORMAT_HTTP_HEADERS, {
+      traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+      tracestate: 'congo=t61rcWkgMzE'
+    });
+    const headers = {};
+    $tracer.inject($tracer.startSpan('child', { childOf: context }), $tracer.FORMAT_HTTP_HEADERS, headers);
+
+    assert.equal(headers.tracestate, 'congo=t61rcWkgMzE');
+  });
+
+  it('should only use the configured formats', function() {
+    $tracer = buildTracer('tracecontext');
+    const headers = {};
+    $tracer.inject($tracer.startSpan('foo'), $tracer.FORMAT_HTTP_HEADERS, headers);
+
+    assert.deepEqual(Object.keys(headers), ['traceparent']);
+    assert.equal($tracer.extract($tracer.FORMAT_HTTP_HEADERS, {
+      'uber-trace-id': `8448eb211c80319c:${SPAN_ID}:0:1`
+    }), null);
+  });
+});
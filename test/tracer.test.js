@@ -1,6 +1,8 @@
 const assert = require('assert');
+const EventEmitter = require('events');
 const express = require('express');
 const hapi16 = require('hapi16');
+const jaeger = require('jaeger-client');
 const opentracing = require('opentracing');
 const path = require('path');
 const protobuf = require('protobufjs');
@@ -134,6 +136,143 @@ describe('tracer stub', function() {
       assert.ok(child);
       assert.equal('child_operation', child.operationName());
     });
+
+    it('should return the result of the function', function() {
+      assert.equal($tracer.captureFunc('child_operation', function() {
+        return 42;
+      }), 42);
+    });
+
+    it('should finish spans when returned promises resolve', function() {
+      var resolve;
+      const result = $tracer.captureFunc('async_operation', function() {
+        return new Promise(function(r) { resolve = r; });
+      });
+      assert.equal($mock.report().spans[0]._finishMs, 0);
+
+      resolve(42);
+      return result.then(function(value) {
+        assert.equal(value, 42);
+        const span = $mock.report().spans[0];
+        assert.ok(span._finishMs > 0);
+        assert.ok(!span.tags()[$tracer.Tags.ERROR]);
+      });
+    });
+
+    it('should tag spans with errors when returned promises reject', function() {
+      const err = new Error('expected');
+      return $tracer.captureFunc('async_operation', function() {
+        return Promise.reject(err);
+      }).then(function() {
+        throw new Error('should have been rejected');
+      }, function(rejection) {
+        assert.strictEqual(rejection, err);
+        const child = $mock.report().firstSpanWithTagValue($tracer.Tags.ERROR, true);
+        assert.ok(child);
+        assert.equal('async_operation', child.operationName());
+        assert.equal(child.tags()[$tracer.Tags.SAMPLING_PRIORITY], 1);
+        assert.ok(child._finishMs > 0);
+      });
+    });
+  });
+});
+
+const activeSpanSupported = require('../lib/active_span').isSupported;
+
+(activeSpanSupported ? describe : describe.skip)('tracer active span', function() {
+  var $tracer;
+  beforeEach(function() {
+    const impl = new jaeger.Tracer('test', new jaeger.InMemoryReporter(), new jaeger.ConstSampler(true));
+    $tracer = require('../lib/tracer')({}, {}, {}, { tracerImpl: impl });
+  });
+
+  function assertChildOf(span, parent) {
+    assert.equal(span.context().parentIdStr, parent.context().spanIdStr);
+  }
+
+  it('should not have an active span by default', function() {
+    assert.strictEqual($tracer.activeSpan(), null);
+  });
+
+  it('should use the active span as parent across async boundaries', function(done) {
+    const root = $tracer.startSpan('root');
+    $tracer.withSpan(root, function() {
+      assert.strictEqual($tracer.activeSpan(), root);
+      setTimeout(function() {
+        Promise.resolve().then(function() {
+          assertChildOf($tracer.startSpan('child'), root);
+          done();
+        }).catch(done);
+      }, 1);
+    });
+  });
+
+  it('should start a new trace when childOf is null', function() {
+    const root = $tracer.startSpan('root');
+    $tracer.withSpan(root, function() {
+      assert.equal($tracer.startSpan('other', { childOf: null }).context().parentIdStr, null);
+    });
+  });
+
+  it('should make captured function spans active', function() {
+    const root = $tracer.startSpan('root');
+    $tracer.captureFunc('child', function(child) {
+      assert.strictEqual($tracer.activeSpan(), child);
+      assertChildOf($tracer.startSpan('grandchild'), child);
+    }, root);
+  });
+
+  it('should make the express request span active', function(done) {
+    const app = express();
+    var failure = null;
+    app.use($tracer.middleware.express);
+    app.get('/', function(req, res) {
+      setImmediate(function() {
+        try {
+          assert.strictEqual($tracer.activeSpan(), req.a0trace.span);
+          assertChildOf($tracer.startSpan('db_query'), req.a0trace.span);
+        } catch (err) {
+          failure = err;
+        }
+        res.send('ok');
+      });
+    });
+
+    request(app)
+      .get('/')
+      .expect(200)
+      .end(function(err) {
+        done(failure || err);
+      });
+  });
+});
+
+describe('tracer close', function() {
+  it('should close tracers that support it', function(done) {
+    const impl = new opentracing.MockTracer();
+    impl.close = sinon.spy((callback) => callback());
+    const $tracer = require('../lib/tracer')({}, {}, {}, { tracerImpl: impl });
+    $tracer.close(function(err) {
+      assert.ifError(err);
+      sinon.assert.calledOnce(impl.close);
+      done();
+    });
+  });
+
+  it('should flush tracers that can not be closed', function(done) {
+    const impl = new opentracing.MockTracer();
+    impl.flush = sinon.spy((callback) => callback(null));
+    const $tracer = require('../lib/tracer')({}, {}, {}, { tracerImpl: impl });
+    $tracer.close(function(err) {
+      assert.ifError(err);
+      sinon.assert.calledOnce(impl.flush);
+      done();
+    });
+  });
+
+  it('should call back when the tracer has nothing to flush', function(done) {
+    const $tracer = require('../lib/tracer')({}, {}, {}, { tracerImpl: new opentracing.MockTracer() });
+    $tracer.close(done);
   });
 });
 
@@ -440,6 +579,16 @@ describe('tracer hapi16 middleware', function() {
           reply('ok');
         }
       });
+      server.route({
+        method: 'GET',
+        path: '/active',
+        handler: (request, reply) => {
+          setImmediate(() => {
+            tracer.activeSpan().setTag('active', 'here');
+            reply('ok');
+          });
+        }
+      });
       server.register(tracer.middleware.hapi16, err => {
         if (err) { done(err); }
         server.start(done);
@@ -450,6 +599,18 @@ describe('tracer hapi16 middleware', function() {
       server.stop(done);
     });
 
+    it('should make the request span active', function() {
+      if (!activeSpanSupported) { this.skip(); }
+      const req = { method: 'GET', url: `${server.info.uri}/active` };
+      return server.inject(req)
+        .then(res => {
+          assert.equal(200, res.statusCode);
+          const reqSpan = mock.report().firstSpanWithTagValue('active', 'here');
+          assert.ok(reqSpan);
+          assert.equal('/active', reqSpan.operationName());
+        });
+    });
+
     it('should create new child spans', function() {
       const req = { method: 'GET', url: `${server.info.uri}/success` };
       return server.inject(req)
@@ -825,3 +986,102 @@ describe('trace request helper', function() {
     });
   });
 });
+
+describe('trace request helper metrics and logs', function() {
+  var $server;
+  var $address;
+  var agent;
+  before(function(done) {
+    const app = express();
+    app.get('/success', function(_req, res) {
+      res.status(200).send('ok');
+    });
+    app.get('/error', function(_req, res) {
+      res.status(500).send('error');
+    });
+    $server = require('http').createServer(app);
+    $server.listen(() => {
+      $address = 'localhost:' + $server.address().port;
+      done();
+    });
+  });
+  after(function(done) {
+    $server.close(done);
+  });
+  beforeEach(function() {
+    agent = stubs.createTestAgent();
+  });
+
+  it('should not record anything by default', function(done) {
+    agent.tracer.helpers.wrapRequest(requestjs)(`http://${$address}/error`, (err) => {
+      assert.equal(agent.getMetrics().length, 0);
+      assert.equal(agent.getLogs().length, 0);
+      done(err);
+    });
+  });
+
+  it('should count the calls and observe their duration', function(done) {
+    agent.tracer.helpers.wrapRequest({ metrics: true }, requestjs.get)(`http://${$address}/success`, (err) => {
+      const tags = [`host:${$address}`, 'method:GET', 'status:200'];
+      assert.equal(agent.getMetrics({ type: 'increment', name: 'http.client.requests', tags: tags }).length, 1);
+      assert.equal(agent.getMetrics({ type: 'histogram', name: 'http.client.duration', tags: tags }).length, 1);
+      assert.equal(agent.getMetrics({ name: 'http.client.errors' }).length, 0);
+      done(err);
+    });
+  });
+
+  it('should count the failed calls of streams', function(done) {
+    agent.tracer.helpers.wrapRequest({ metrics: true }, requestjs)({ uri: `http://${$address}/error`, method: 'get' })
+      .on('response', () => {
+        const tags = [`host:${$address}`, 'method:GET', 'status:500'];
+        assert.equal(agent.getMetrics({ type: 'increment', name: 'http.client.errors', tags: tags }).length, 1);
+        done();
+      })
+      .on('error', done);
+  });
+
+  it('should record the calls of streams once when they fail after the response', function() {
+    const stream = new EventEmitter();
+    const startSpan = agent.tracer.startSpan;
+    var finish;
+    agent.tracer.startSpan = function() {
+      const span = startSpan.apply(agent.tracer, arguments);
+      finish = sinon.spy(span, 'finish');
+      return span;
+    };
+
+    agent.tracer.helpers.wrapRequest({ metrics: true }, () => stream)({ uri: `http://${$address}/success` });
+    stream.emit('response', { statusCode: 200, req: { method: 'GET' } });
+    stream.emit('error', new Error('socket hang up'));
+
+    sinon.assert.calledOnce(finish);
+    assert.equal(agent.getMetrics({ name: 'http.client.requests' }).length, 1);
+    assert.equal(agent.getMetrics({ name: 'http.client.errors' }).length, 0);
+  });
+
+  it('should count the calls that fail without a response', function(done) {
+    agent.tracer.helpers.wrapRequest({ metrics: true, logFailures: true }, requestjs)('http://localhost:1/', (err) => {
+      assert.ok(err);
+      const tags = ['host:localhost:1', 'status:error'];
+      assert.equal(agent.getMetrics({ name: 'http.client.errors', tags: tags }).length, 1);
+      assert.strictEqual(agent.getLogs({ level: 'warn' })[0].err.message, err.message);
+      done();
+    });
+  });
+
+  it('should log the failed calls', function(done) {
+    agent.tracer.helpers.wrapRequest({ logFailures: true }, requestjs)(`http://${$address}/error`, (err) => {
+      const log = agent.getLogs({ level: 'warn', fields: { log_type: 'outgoing_request', status_code: 500 } })[0];
+      assert.equal(log.msg.indexOf(`GET ${$address}/error failed`), 0);
+      done(err);
+    });
+  });
+
+  it('should log the slow calls', function(done) {
+    agent.tracer.helpers.wrapRequest({ logSlowerThan: -1 }, requestjs)(`http://${$address}/success`, (err) => {
+      const log = agent.getLogs({ level: 'warn', fields: { log_type: 'outgoing_request', status_code: 200 } })[0];
+      assert.equal(log.msg.indexOf(`GET ${$address}/success was slow`), 0);
+      done(err);
+    });
+  });
+});
@@ -3,6 +3,8 @@ const hapi17 = require('hapi17');
 const opentracing = require('opentracing');
 const sinon = require('sinon');
 
+const activeSpanSupported = require('../lib/active_span').isSupported;
+
 describe('tracer hapi17 middleware', function() {
   // We expect 4 spans:
   //  - request (top level span)
@@ -52,6 +54,15 @@ describe('tracer hapi17 middleware', function() {
           return 'ok';
         }
       });
+      server.route({
+        method: 'GET',
+        path: '/active',
+        handler: async () => {
+          await new Promise((resolve) => setImmediate(resolve));
+          tracer.activeSpan().setTag('active', 'here');
+          return 'ok';
+        }
+      });
       await server.register(tracer.middleware.hapi17);
       await server.start();
     });
@@ -123,5 +134,15 @@ describe('tracer hapi17 middleware', function() {
       assert.ok(reqSpan);
       assert.equal('/moreinfo/{id}', reqSpan.operationName());
     });
+
+    it('should make the request span active', async function() {
+      if (!activeSpanSupported) { this.skip(); }
+      const req = { method: 'GET', url: `${server.info.uri}/active` };
+      const res = await server.inject(req);
+      assert.equal(200, res.statusCode);
+      const reqSpan = mock.report().firstSpanWithTagValue('active', 'here');
+      assert.ok(reqSpan);
+      assert.equal('/active', reqSpan.operationName());
+    });
   });
 });
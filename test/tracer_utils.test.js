@@ -37,4 +37,21 @@ describe('tracer utils', () => {
       assert.deepEqual(tracerUtils.mapToTags(map), expected);
     });
   });
+
+  describe('.getSpanIds', () => {
+    it('returns the ids of jaeger spans', () => {
+      const span = { context: () => ({ traceIdStr: 'abc', spanIdStr: 'def' }) };
+      assert.deepEqual(tracerUtils.getSpanIds(span), { trace_id: 'abc', span_id: 'def' });
+    });
+
+    it('returns the ids of lightstep span contexts', () => {
+      const context = { _traceGUID: 'abc', _guid: 'def' };
+      assert.deepEqual(tracerUtils.getSpanIds(context), { trace_id: 'abc', span_id: 'def' });
+    });
+
+    it('returns null for stubbed spans', () => {
+      assert.strictEqual(tracerUtils.getSpanIds({ context: () => null }), null);
+      assert.strictEqual(tracerUtils.getSpanIds(null), null);
+    });
+  });
 });
@@ -7,14 +7,96 @@ const utils = require('../lib/utils');
 const decorateLogger = utils.decorateLogger;
 const loggerStub = stubs.logger;
 const sinon = require('sinon');
+const KinesisWritable = require('aws-kinesis-writable');
+
+const activeSpans = require('../lib/active_span');
 
 const levels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
 
+const span = {
+  context: () => ({ traceIdStr: 'abc', spanIdStr: 'def' })
+};
+
 levels.forEach(function(lvl) {
   loggerStub[lvl] = sinon.spy();
 });
 
 describe('Utils', function() {
+  describe('parseList', function() {
+    it('should accept arrays and comma separated strings', function() {
+      assert.deepEqual(utils.parseList(['a', ' b ']), ['a', 'b']);
+      assert.deepEqual(utils.parseList('a, b,,c'), ['a', 'b', 'c']);
+      assert.deepEqual(utils.parseList(undefined), []);
+    });
+  });
+
+  describe('whenAll', function() {
+    it('should call back once every task is done', function(done) {
+      const first = sinon.spy((callback) => setImmediate(callback));
+      const second = sinon.spy((callback) => callback());
+      utils.whenAll([first, second], function(err) {
+        assert.equal(err, null);
+        assert(first.calledOnce);
+        assert(second.calledOnce);
+        done();
+      });
+    });
+
+    it('should call back with the first error', function(done) {
+      const err = new Error('failed');
+      utils.whenAll([(callback) => callback(err), (callback) => callback()], function(result) {
+        assert.strictEqual(result, err);
+        done();
+      });
+    });
+
+    it('should call back when there are no tasks', function(done) {
+      utils.whenAll([], done);
+    });
+  });
+
+  describe('flushKinesisStream', function() {
+    it('should dispatch the queued records in batches', function(done) {
+      const stream = {
+        timer: setTimeout(function() {}, 10000),
+        buffer: { length: 2 },
+        recordsQueue: [1, 2, 3],
+        dispatch: sinon.spy((records, callback) => callback())
+      };
+      utils.flushKinesisStream(stream, function(err) {
+        assert.equal(err, null);
+        assert.equal(stream.timer, null);
+        assert.deepEqual(stream.recordsQueue, []);
+        assert(stream.dispatch.calledWith([1, 2]));
+        assert(stream.dispatch.calledWith([3]));
+        done();
+      });
+    });
+
+    it('should wait for the batches the stream is already sending', function(done) {
+      const stream = utils.trackKinesisStream(new KinesisWritable({
+        region: 'us-east-1',
+        streamName: 'test',
+        objectMode: true,
+        buffer: { length: 1, timeout: 5 }
+      }));
+      var sent = 0;
+      stream.putRecords = function(records, callback) {
+        setTimeout(function() {
+          sent += records.length;
+          callback();
+        }, 50);
+      };
+
+      stream.write({ msg: 'foo' });
+      utils.flushKinesisStream(stream, function(err) {
+        assert.equal(err, null);
+        assert.equal(sent, 1);
+        done();
+      });
+    });
+  });
+
   describe('decorateLogger', function() {
     var logger = decorateLogger(loggerStub);
 
@@ -47,5 +129,38 @@ describe('Utils', function() {
         assert(loggerStub[lvl].calledWith(sinon.match.instanceOf(Error), 'test', 'some otherstrings'));
       });
     });
+
+    describe('with a span', function() {
+      const spanLogger = logger.child({ span: span });
+
+      it('should add the span ids to the fields', function() {
+        spanLogger.info({ foo: 'bar' }, 'test');
+        assert(loggerStub.info.calledWith({ trace_id: 'abc', span_id: 'def', foo: 'bar' }, 'test'));
+      });
+
+      it('should add the span ids to str logs', function() {
+        spanLogger.info('test');
+        assert(loggerStub.info.calledWith({ trace_id: 'abc', span_id: 'def' }, 'test'));
+      });
+
+      it('should keep errors and their message', function() {
+        const err = new Error('failure');
+        spanLogger.error(err);
+        assert(loggerStub.error.calledWith({ err: err, trace_id: 'abc', span_id: 'def' }, 'failure'));
+      });
+
+      it('should not add the span to the child fields', function() {
+        const child = sinon.spy(loggerStub, 'child');
+        logger.child({ span: span, foo: 'bar' });
+        child.restore();
+        assert(child.calledWith({ foo: 'bar' }));
+      });
+
+      it('should use the active span', function() {
+        if (!activeSpans.isSupported) { this.skip(); }
+        activeSpans.run(span, () => logger.warn('test'));
+        assert(loggerStub.warn.calledWith({ trace_id: 'abc', span_id: 'def' }, 'test'));
+      });
+    });
   });
 });